@@ -0,0 +1,145 @@
+// mock/scenarios.js
+// 模拟上游的运行脚本：每个场景生成一组按顺序推送的 Ably 消息 { name, payload, delay }
+// UPDATE_LAST_MESSAGE 与真实上游一致，每次推送的都是累积后的完整消息
+
+const fs = require('fs')
+
+// 把文本切成若干段，逐段累积
+function chunks(text, count = 4) {
+  const size = Math.max(1, Math.ceil(text.length / count))
+  const parts = []
+  for (let end = size; end < text.length + size; end += size) {
+    parts.push(text.slice(0, Math.min(end, text.length)))
+  }
+  return parts
+}
+
+function update(message, delay) {
+  return { name: 'UPDATE_LAST_MESSAGE', payload: { message }, delay }
+}
+
+function complete(payload = {}, delay) {
+  return { name: 'INDIVIDUAL_RUN_COMPLETE', payload, delay }
+}
+
+function usage(context, text) {
+  return {
+    input_tokens: Math.max(1, Math.ceil(context.prompt.length / 4)),
+    output_tokens: Math.max(1, Math.ceil(text.length / 4))
+  }
+}
+
+function textMessage(text) {
+  return { role: 'assistant', content: [{ type: 'text', text }] }
+}
+
+const SCENARIOS = {
+  // 回显最后一条用户消息
+  text(context) {
+    const reply = `Mock response to: ${context.prompt || '(empty prompt)'}`
+    return [
+      ...chunks(reply).map(text => update(textMessage(text))),
+      complete({ usage: usage(context, reply) })
+    ]
+  },
+
+  // 先输出思考内容再输出正文，请求了 JSON 输出时正文为 JSON
+  thinking(context) {
+    const thinking = 'Let me think about this request step by step.'
+    const reply = context.json ? JSON.stringify({ answer: context.prompt, ok: true }) : `After thinking: ${context.prompt}`
+    return [
+      ...chunks(thinking).map(text => update({ role: 'assistant', content: [{ type: 'thinking', thinking: text }] })),
+      ...chunks(reply).map(text => update({
+        role: 'assistant',
+        content: [{ type: 'thinking', thinking }, { type: 'text', text }]
+      })),
+      complete({ usage: usage(context, thinking + reply) })
+    ]
+  },
+
+  // 调用客户端声明的第一个工具（没有时使用 get_weather），参数逐段输出
+  tool(context) {
+    const name = context.tools[0] || 'get_weather'
+    const args = JSON.stringify({ query: context.prompt })
+    return [
+      update(textMessage('Calling a tool.')),
+      ...chunks(args).map(partial => update({
+        ...textMessage('Calling a tool.'),
+        tool_calls: [{ id: 'call_mock_1', type: 'function', function: { name, arguments: partial } }]
+      })),
+      complete({ usage: usage(context, args) })
+    ]
+  },
+
+  // 输出 JSON 正文，用于测试结构化输出
+  json(context) {
+    const reply = JSON.stringify({ answer: context.prompt, ok: true })
+    return [
+      ...chunks(reply).map(text => update(textMessage(text))),
+      complete({ usage: usage(context, reply) })
+    ]
+  },
+
+  // 运行失败
+  error() {
+    return [
+      update(textMessage('Partial output before failure')),
+      complete({ status: 'FAILURE', error_message: 'Mock upstream provider error', status_code: 500 })
+    ]
+  },
+
+  // 达到 max_tokens 被截断
+  length(context) {
+    const reply = `Truncated mock response to: ${context.prompt}`
+    return [
+      ...chunks(reply).map(text => update(textMessage(text))),
+      complete({ stop_reason: 'max_tokens', usage: usage(context, reply) })
+    ]
+  },
+
+  // 模型拒绝回答
+  refusal(context) {
+    return [complete({ stop_reason: 'refusal', usage: usage(context, '') })]
+  },
+
+  // 上游模型服务限流
+  rate_limit() {
+    return [complete({ status: 'FAILURE', error_message: 'Mock provider rate limit exceeded', status_code: 429 })]
+  },
+
+  // 运行完成但没有任何输出
+  empty() {
+    return [complete({})]
+  },
+
+  // 每段间隔 1 秒，用于测试取消与超时
+  slow(context) {
+    const reply = `Slow mock response to: ${context.prompt}`
+    return [
+      ...chunks(reply, 8).map(text => update(textMessage(text), 1000)),
+      complete({ usage: usage(context, reply) }, 1000)
+    ]
+  }
+}
+
+/**
+ * 从 JSON 文件加载自定义场景：{ "名称": [{ "name", "payload", "delay" }] }
+ * 同名场景覆盖内置场景
+ */
+function loadScenarios(file) {
+  const scenarios = { ...SCENARIOS }
+  if (!file) return scenarios
+
+  const content = JSON.parse(fs.readFileSync(file, 'utf-8'))
+  for (const [name, events] of Object.entries(content)) {
+    if (!Array.isArray(events)) {
+      throw new Error(`场景 ${name} 必须是消息数组`)
+    }
+    scenarios[name] = () => events
+  }
+  return scenarios
+}
+
+module.exports = {
+  loadScenarios
+}
@@ -0,0 +1,268 @@
+// mock/server.js
+// 本地模拟 PromptLayer API 与 Ably WebSocket，用于离线测试代理
+// 启动后将代理的 PROMPTLAYER_API_URL / ABLY_REALTIME_URL 指向本服务即可
+// 在用户消息中加入 [mock:场景名] 选择运行脚本，见 mock/scenarios.js
+
+require('dotenv').config()
+const crypto = require('crypto')
+const http = require('http')
+const express = require('express')
+const WebSocket = require('ws')
+const { v4: uuidv4 } = require('uuid')
+const logger = require('../src/lib/logger')
+const { loadScenarios } = require('./scenarios')
+
+const PORT = parseInt(process.env.MOCK_PORT, 10) || 4000
+// 未在消息中指定场景时使用的默认场景
+const DEFAULT_SCENARIO = process.env.MOCK_SCENARIO || 'text'
+// 两条推送之间的默认间隔
+const STEP_DELAY_MS = parseInt(process.env.MOCK_STEP_DELAY_MS, 10) >= 0 ? parseInt(process.env.MOCK_STEP_DELAY_MS, 10) : 50
+const HEARTBEAT_INTERVAL_MS = 15000
+// 上传文件最多保留的数量
+const MAX_FILES = 100
+
+const scenarios = loadScenarios(process.env.MOCK_SCENARIOS_FILE)
+
+// ws_token -> clientId
+const wsTokens = new Map()
+// 运行ID -> { clientId, timers, usage }
+const runs = new Map()
+// 上传的文件：id -> { buffer, contentType }
+const files = new Map()
+// 各接口的累计调用次数，测试通过 GET /mock/stats 检查代理的缓存、连接复用与取消
+const stats = { logins: 0, userLookups: 0, wsTokens: 0, connections: 0, uploads: 0, sessions: 0, runs: 0, cancels: 0 }
+
+const app = express()
+app.use(express.json({ limit: '100mb' }))
+
+// 以 invalid 开头的密钥视为无效，用于测试认证失败
+function readToken(req) {
+  const token = (req.headers.authorization || '').replace('Bearer ', '')
+  return token && !token.startsWith('invalid') ? token : null
+}
+
+function clientIdFor(token) {
+  return 'mock-' + crypto.createHash('sha256').update(token).digest('hex').slice(0, 12)
+}
+
+function requireToken(req, res, next) {
+  const token = readToken(req)
+  if (!token) {
+    return res.status(401).json({ success: false, message: 'Invalid API key' })
+  }
+  req.clientId = clientIdFor(token)
+  next()
+}
+
+function publicUrl(req) {
+  return `${req.protocol}://${req.headers.host}`
+}
+
+app.get('/mock/stats', (req, res) => {
+  res.json(stats)
+})
+
+app.post('/login', (req, res) => {
+  stats.logins++
+  const { email, password } = req.body || {}
+  if (!email || !password || password.startsWith('invalid')) {
+    return res.status(401).json({ success: false, message: 'Invalid credentials' })
+  }
+  res.json({ access_token: `mock-${email}` })
+})
+
+app.get('/get-user', requireToken, (req, res) => {
+  stats.userLookups++
+  res.json({ id: 1, email: `${req.clientId}@mock.local`, name: 'Mock User' })
+})
+
+app.post('/ws-token-request', requireToken, (req, res) => {
+  stats.wsTokens++
+  const token = `mock-ws-${uuidv4()}`
+  wsTokens.set(token, req.clientId)
+  res.json({
+    success: true,
+    token_details: { token, clientId: req.clientId, expires: Date.now() + 60 * 60 * 1000 }
+  })
+})
+
+app.get('/workspaces', requireToken, (req, res) => {
+  res.json({ success: true, workspaces: [{ id: 1, name: 'Mock Workspace' }] })
+})
+
+// multipart 上传：不解析表单，整体保存以便通过返回的 URL 取回
+app.post('/upload', requireToken, (req, res) => {
+  const parts = []
+  req.on('data', chunk => parts.push(chunk))
+  req.on('end', () => {
+    const id = uuidv4()
+    stats.uploads++
+    files.set(id, { buffer: Buffer.concat(parts), contentType: req.headers['content-type'] })
+    if (files.size > MAX_FILES) {
+      files.delete(files.keys().next().value)
+    }
+    res.json({ success: true, file_url: `${publicUrl(req)}/files/${id}` })
+  })
+})
+
+app.get('/files/:id', (req, res) => {
+  const file = files.get(req.params.id)
+  if (!file) return res.status(404).end()
+  res.setHeader('Content-Type', file.contentType || 'application/octet-stream')
+  res.end(file.buffer)
+})
+
+const dashboard = express.Router()
+dashboard.use(requireToken)
+
+dashboard.put('/workspaces/:workspaceId/playground_sessions', (req, res) => {
+  stats.sessions++
+  res.json({ success: true, playground_session: { id: req.body?.id || uuidv4() } })
+})
+
+dashboard.delete('/workspaces/:workspaceId/playground_sessions/:id', (req, res) => {
+  res.json({ success: true })
+})
+
+dashboard.patch('/workspaces/:workspaceId/playground_sessions/:id', (req, res) => {
+  res.json({ success: true })
+})
+
+dashboard.post('/workspaces/:workspaceId/run_groups', (req, res) => {
+  const requests = req.body?.individual_run_requests || [{ run_group_position: 1 }]
+  const context = buildContext(req.body?.shared_prompt_blueprint)
+  const scenario = scenarios[context.scenario]
+  if (!scenario) {
+    return res.status(400).json({ success: false, message: `Unknown mock scenario: ${context.scenario}` })
+  }
+
+  stats.runs += requests.length
+  const individualRuns = requests.map((request, index) => ({
+    id: uuidv4(),
+    run_group_position: request.run_group_position || index + 1
+  }))
+  res.json({ success: true, run_group: { id: req.body?.id || uuidv4(), individual_run_requests: individualRuns } })
+
+  logger.info(`模拟运行组: 场景 ${context.scenario}, ${individualRuns.length} 次运行`)
+  for (const run of individualRuns) {
+    play(req.clientId, run.id, scenario(context))
+  }
+})
+
+dashboard.get('/workspaces/:workspaceId/individual_run_requests/:id', (req, res) => {
+  const run = runs.get(req.params.id)
+  res.json({ success: true, individual_run_request: { id: req.params.id, usage: run?.usage || null } })
+})
+
+dashboard.post('/workspaces/:workspaceId/individual_run_requests/:id/cancel', (req, res) => {
+  const run = runs.get(req.params.id)
+  stats.cancels++
+  if (run) {
+    run.timers.forEach(clearTimeout)
+    logger.info(`模拟运行已取消: ${req.params.id}`)
+  }
+  res.json({ success: true })
+})
+
+app.use('/api/dashboard/v2', dashboard)
+
+// 从 prompt blueprint 中取出最后一条用户消息与工具名，并解析 [mock:场景名] 标记
+function buildContext(blueprint) {
+  const template = blueprint?.prompt_template || {}
+  const lastUser = [...(template.messages || [])].reverse().find(message => message.role === 'user')
+  const text = (lastUser?.content || [])
+    .filter(item => item.type === 'text')
+    .map(item => item.text)
+    .join('\n')
+  const match = text.match(/\[mock:([\w-]+)\]/)
+  const system = (template.messages || []).filter(message => message.role === 'system')
+    .flatMap(message => message.content || [])
+    .map(item => item.text || '')
+    .join('\n')
+
+  return {
+    scenario: match ? match[1] : DEFAULT_SCENARIO,
+    prompt: text.replace(/\[mock:[\w-]+\]/g, '').trim(),
+    tools: (template.tools || []).map(tool => tool.function?.name).filter(Boolean),
+    // 请求了 JSON 输出：原生 response_format 或代理加入的格式约束系统提示
+    json: Boolean(blueprint?.metadata?.model?.parameters?.response_format) || system.includes('valid JSON')
+  }
+}
+
+// 按脚本依次推送消息
+function play(clientId, runId, events) {
+  const run = { clientId, timers: [], usage: null }
+  runs.set(runId, run)
+
+  let at = 0
+  for (const event of events) {
+    at += event.delay ?? STEP_DELAY_MS
+    run.timers.push(setTimeout(() => {
+      if (event.name === 'INDIVIDUAL_RUN_COMPLETE') {
+        run.usage = event.payload?.usage || null
+        // 保留一段时间供用量查询
+        setTimeout(() => runs.delete(runId), 60000).unref()
+      }
+      publish(clientId, event.name, { individual_run_request_id: runId, payload: event.payload })
+    }, at))
+  }
+}
+
+const server = http.createServer(app)
+const wss = new WebSocket.Server({ server })
+
+// 推送给该 clientId 的所有连接
+function publish(clientId, name, data) {
+  const message = JSON.stringify({
+    action: 15,
+    channel: `user:${clientId}`,
+    messages: [{ id: uuidv4(), name, data: JSON.stringify(data) }]
+  })
+  for (const ws of wss.clients) {
+    if (ws.clientId === clientId && ws.readyState === WebSocket.OPEN) {
+      ws.send(message)
+    }
+  }
+}
+
+// Ably 协议的最小实现：CONNECTED、ATTACH/ATTACHED、心跳，令牌无效时返回 ERROR
+wss.on('connection', (ws, req) => {
+  const params = new URL(req.url, 'ws://localhost').searchParams
+  const clientId = wsTokens.get(params.get('access_token'))
+  if (!clientId) {
+    ws.send(JSON.stringify({ action: 9, error: { message: 'Token invalid', code: 40101, statusCode: 401 } }))
+    return ws.close()
+  }
+
+  ws.clientId = clientId
+  stats.connections++
+  ws.send(JSON.stringify({
+    action: 4,
+    connectionId: uuidv4(),
+    connectionDetails: { clientId, connectionKey: uuidv4(), maxIdleInterval: HEARTBEAT_INTERVAL_MS }
+  }))
+
+  const heartbeat = setInterval(() => {
+    if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify({ action: 0 }))
+  }, HEARTBEAT_INTERVAL_MS)
+  ws.on('close', () => clearInterval(heartbeat))
+
+  ws.on('message', (data) => {
+    let message
+    try {
+      message = JSON.parse(data.toString())
+    } catch (error) {
+      return
+    }
+    if (message.action === 10) {
+      ws.send(JSON.stringify({ action: 11, channel: message.channel, flags: 0 }))
+    }
+  })
+})
+
+server.listen(PORT, () => {
+  logger.info(`模拟 PromptLayer/Ably 服务运行在 http://localhost:${PORT}`)
+  logger.info(`代理配置: PROMPTLAYER_API_URL=http://localhost:${PORT} ABLY_REALTIME_URL=ws://localhost:${PORT}`)
+})
+
+module.exports = server
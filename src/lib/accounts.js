@@ -0,0 +1,239 @@
+// src/lib/accounts.js
+// 服务端托管的 PromptLayer 账户池：登录/API Key、轮询调度、健康状态与冷却
+const fs = require('fs')
+const { login, validatePromptLayerToken, getAccountInfo } = require('./promptlayer')
+const logger = require('./logger')
+
+// 调度策略：round_robin 轮询，least_in_flight 选择进行中请求最少的账户
+const STRATEGY = process.env.ACCOUNT_STRATEGY === 'least_in_flight' ? 'least_in_flight' : 'round_robin'
+// 账户出错后的冷却时间
+const COOLDOWN_MS = parseInt(process.env.ACCOUNT_COOLDOWN_MS, 10) || 60000
+// ws_token 刷新间隔（Ably 令牌默认一小时过期）
+const WS_TOKEN_TTL_MS = parseInt(process.env.WS_TOKEN_TTL_MS, 10) || 50 * 60 * 1000
+
+const accounts = []
+let cursor = 0
+
+// 解析账户配置：user:password 使用登录，不含冒号的视为 API Key
+function parseAccountEntry(entry) {
+  if (typeof entry === 'object' && entry) {
+    return {
+      email: entry.username || entry.email || null,
+      password: entry.password || null,
+      apiKey: entry.api_key || entry.apiKey || entry.access_token || null
+    }
+  }
+
+  const value = String(entry).trim()
+  if (!value) return null
+  const separator = value.indexOf(':')
+  if (separator === -1) {
+    return { email: null, password: null, apiKey: value }
+  }
+  return { email: value.slice(0, separator), password: value.slice(separator + 1), apiKey: null }
+}
+
+// 从环境变量 ACCOUNTS 与配置文件 ACCOUNTS_FILE 读取账户
+function loadAccountConfig() {
+  const entries = []
+
+  if (process.env.ACCOUNTS) {
+    entries.push(...process.env.ACCOUNTS.split(','))
+  }
+
+  if (process.env.ACCOUNTS_FILE) {
+    try {
+      const content = JSON.parse(fs.readFileSync(process.env.ACCOUNTS_FILE, 'utf-8'))
+      entries.push(...(Array.isArray(content) ? content : content.accounts || []))
+    } catch (error) {
+      logger.error(`读取账户配置文件失败: ${process.env.ACCOUNTS_FILE}`, error.message)
+    }
+  }
+
+  return entries.map(parseAccountEntry).filter(Boolean)
+}
+
+// 登录（如需要）并获取 ws_token / workspaceId
+async function refreshAccount(account) {
+  if (account.password && (!account.access_token || account.needsLogin)) {
+    account.access_token = await login(account.email, account.password)
+    account.needsLogin = false
+  }
+
+  const userInfo = await validatePromptLayerToken(account.access_token)
+  if (!userInfo) {
+    throw new Error('无效的PromptLayer API密钥')
+  }
+
+  const accountInfo = await getAccountInfo(account.access_token)
+  account.ws_token = accountInfo.ws_token
+  account.clientId = accountInfo.clientId
+  account.workspaceId = accountInfo.workspaceId
+  account.username = userInfo.email || userInfo.name || account.email || '账户'
+  account.refreshedAt = Date.now()
+  account.healthy = true
+  account.cooldownUntil = 0
+  account.lastError = null
+}
+
+// 初始化账户池
+async function init() {
+  const configs = loadAccountConfig()
+  if (configs.length === 0) {
+    return
+  }
+
+  for (const config of configs) {
+    accounts.push({
+      email: config.email,
+      password: config.password,
+      access_token: config.apiKey,
+      ws_token: null,
+      clientId: null,
+      workspaceId: null,
+      username: config.email || '账户',
+      pooled: true,
+      inFlight: 0,
+      healthy: false,
+      cooldownUntil: 0,
+      refreshedAt: 0,
+      failures: 0,
+      lastError: null,
+      needsLogin: false
+    })
+  }
+
+  await Promise.all(accounts.map(async (account) => {
+    try {
+      await refreshAccount(account)
+      logger.info(`账户 ${account.username} 初始化成功`)
+    } catch (error) {
+      markUnhealthy(account, error.response?.status, error.message)
+    }
+  }))
+
+  const healthyCount = accounts.filter(account => account.healthy).length
+  logger.info(`账户池初始化完成: ${healthyCount}/${accounts.length} 可用, 调度策略: ${STRATEGY}`)
+}
+
+function isEnabled() {
+  return accounts.length > 0
+}
+
+// 是否配置了账户池，启动时即可判断，无需等待初始化
+function isConfigured() {
+  return Boolean(process.env.ACCOUNTS || process.env.ACCOUNTS_FILE)
+}
+
+// 账户当前是否可被调度（冷却结束的账户允许重试）
+function isAvailable(account, now) {
+  return account.healthy || account.cooldownUntil <= now
+}
+
+// 选择账户
+function pick() {
+  const now = Date.now()
+  const candidates = accounts.filter(account => isAvailable(account, now))
+  if (candidates.length === 0) {
+    return null
+  }
+
+  if (STRATEGY === 'least_in_flight') {
+    return candidates.reduce((best, account) => account.inFlight < best.inFlight ? account : best)
+  }
+
+  for (let i = 0; i < accounts.length; i++) {
+    const account = accounts[(cursor + i) % accounts.length]
+    if (isAvailable(account, now)) {
+      cursor = (cursor + i + 1) % accounts.length
+      return account
+    }
+  }
+  return null
+}
+
+/**
+ * 获取一个可用账户并计入进行中请求
+ * 不健康或 ws_token 即将过期的账户会先刷新，刷新失败则换下一个
+ */
+async function acquire() {
+  for (let attempt = 0; attempt < accounts.length; attempt++) {
+    const account = pick()
+    if (!account) {
+      return null
+    }
+
+    account.inFlight++
+    if (!account.healthy || Date.now() - account.refreshedAt > WS_TOKEN_TTL_MS) {
+      try {
+        await refreshAccount(account)
+      } catch (error) {
+        account.inFlight--
+        markUnhealthy(account, error.response?.status, error.message)
+        continue
+      }
+    }
+    return account
+  }
+  return null
+}
+
+// 返回一个可用账户用于健康探测，不计入进行中请求
+function peek() {
+  const now = Date.now()
+  return accounts.find(account => account.healthy && account.access_token)
+    || accounts.find(account => isAvailable(account, now) && account.access_token)
+    || null
+}
+
+function release(account) {
+  if (account && account.pooled && account.inFlight > 0) {
+    account.inFlight--
+  }
+}
+
+// 上游返回 401/403/429 时标记账户不可用并进入冷却
+function markUnhealthy(account, status, message) {
+  if (!account || !account.pooled) return
+  account.healthy = false
+  account.failures++
+  account.cooldownUntil = Date.now() + COOLDOWN_MS
+  account.lastError = message || (status ? `HTTP ${status}` : '未知错误')
+  // 认证失败时下次刷新需要重新登录
+  if (status === 401 && account.password) {
+    account.needsLogin = true
+  }
+  logger.warn(`账户 ${account.username} 标记为不可用 (${account.lastError})，冷却 ${COOLDOWN_MS}ms`)
+}
+
+// 根据上游错误状态码决定是否标记账户
+function reportError(account, error) {
+  const status = error?.response?.status || error?.status
+  if (status === 401 || status === 403 || status === 429) {
+    markUnhealthy(account, status, error.message)
+  }
+}
+
+function getStatus() {
+  const now = Date.now()
+  return accounts.map(account => ({
+    username: account.username,
+    healthy: account.healthy,
+    available: isAvailable(account, now),
+    in_flight: account.inFlight,
+    failures: account.failures,
+    cooldown_until: account.cooldownUntil > now ? new Date(account.cooldownUntil).toISOString() : null,
+    last_error: account.lastError
+  }))
+}
+
+module.exports = {
+  init,
+  isEnabled,
+  isConfigured,
+  acquire,
+  release,
+  peek,
+  reportError,
+  getStatus
+}
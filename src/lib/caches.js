@@ -1,41 +1,123 @@
+// src/lib/caches.js
+// 上传文件缓存：内容哈希 -> 文件 URL，LRU + TTL 淘汰，可选持久化到磁盘
 const crypto = require('crypto')
+const fs = require('fs')
+const path = require('path')
+const logger = require('./logger')
 
+// 最多缓存的条目数
+const MAX_ENTRIES = parseInt(process.env.IMAGE_CACHE_MAX_ENTRIES, 10) || 1000
+// 缓存有效期
+const TTL_MS = parseInt(process.env.IMAGE_CACHE_TTL_MS, 10) || 24 * 60 * 60 * 1000
+// 持久化文件，未配置时只保存在内存中
+const CACHE_FILE = process.env.IMAGE_CACHE_FILE || ''
+// 写盘合并间隔
+const SAVE_DELAY_MS = 1000
+
+// key -> { url, expiresAt }，Map 的插入顺序即最近使用顺序
 const imageCache = new Map()
+const stats = { hits: 0, misses: 0 }
+let saveTimer = null
 
-function computeHash(base64Data) {
-  const base64Content = base64Data.includes('base64,') 
-    ? base64Data.split('base64,')[1] 
-    : base64Data
-  
+// 直接对文件内容计算哈希
+function computeHash(buffer) {
   return crypto.createHash('sha256')
-    .update(base64Content)
+    .update(buffer)
     .digest('hex')
 }
 
-function hasImage(base64Data) {
-  const hash = computeHash(base64Data)
-  return imageCache.has(hash)
+function isExpired(entry, now = Date.now()) {
+  return entry.expiresAt <= now
+}
+
+function hasImage(key) {
+  const entry = imageCache.get(key)
+  return Boolean(entry) && !isExpired(entry)
+}
+
+function getImageUrl(key) {
+  const entry = imageCache.get(key)
+  if (!entry || isExpired(entry)) {
+    if (entry) {
+      imageCache.delete(key)
+      scheduleSave()
+    }
+    stats.misses++
+    return null
+  }
+
+  // 移到末尾，标记为最近使用
+  imageCache.delete(key)
+  imageCache.set(key, entry)
+  stats.hits++
+  return entry.url
 }
 
-function getImageUrl(base64Data) {
-  const hash = computeHash(base64Data)
-  if (imageCache.has(hash)) {
-    return imageCache.get(hash)
+function addImage(key, imageUrl) {
+  imageCache.delete(key)
+  imageCache.set(key, { url: imageUrl, expiresAt: Date.now() + TTL_MS })
+
+  while (imageCache.size > MAX_ENTRIES) {
+    imageCache.delete(imageCache.keys().next().value)
   }
-  return null
+  scheduleSave()
+}
+
+function getStats() {
+  return { size: imageCache.size, hits: stats.hits, misses: stats.misses }
 }
 
-function addImage(base64Data, imageUrl) {
-  const hash = computeHash(base64Data)
-  if (!imageCache.has(hash)) {
-    imageCache.set(hash, imageUrl)
+// 启动时从磁盘恢复未过期的条目
+function load() {
+  if (!CACHE_FILE || !fs.existsSync(CACHE_FILE)) return
+
+  try {
+    const entries = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf-8'))
+    const now = Date.now()
+    for (const [key, entry] of entries) {
+      if (entry?.url && !isExpired(entry, now)) {
+        imageCache.set(key, entry)
+      }
+    }
+    while (imageCache.size > MAX_ENTRIES) {
+      imageCache.delete(imageCache.keys().next().value)
+    }
+    logger.info(`已从 ${CACHE_FILE} 恢复 ${imageCache.size} 条上传缓存`)
+  } catch (error) {
+    logger.error(`读取上传缓存文件失败: ${CACHE_FILE}`, error.message)
   }
 }
 
+// 合并短时间内的多次修改后写盘，先写临时文件再替换，避免写到一半的文件
+function scheduleSave() {
+  if (!CACHE_FILE || saveTimer) return
+  saveTimer = setTimeout(() => {
+    saveTimer = null
+    const tempFile = `${CACHE_FILE}.tmp`
+    const content = JSON.stringify([...imageCache.entries()])
+    fs.mkdir(path.dirname(CACHE_FILE), { recursive: true }, (mkdirError) => {
+      if (mkdirError) {
+        return logger.error('写入上传缓存文件失败:', mkdirError.message)
+      }
+      fs.writeFile(tempFile, content, (writeError) => {
+        if (writeError) {
+          return logger.error('写入上传缓存文件失败:', writeError.message)
+        }
+        fs.rename(tempFile, CACHE_FILE, (renameError) => {
+          if (renameError) logger.error('写入上传缓存文件失败:', renameError.message)
+        })
+      })
+    })
+  }, SAVE_DELAY_MS)
+  saveTimer.unref()
+}
 
+load()
 
 module.exports = {
+  computeHash,
   hasImage,
   getImageUrl,
-  addImage
+  addImage,
+  getStats
 }
\ No newline at end of file
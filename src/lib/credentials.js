@@ -0,0 +1,105 @@
+// src/lib/credentials.js
+// 透传模式下已验证凭据的内存缓存，避免每个请求都调用 get-user / ws-token-request / workspaces
+const crypto = require('crypto')
+const { requestWsToken } = require('./promptlayer')
+const logger = require('./logger')
+
+// 凭据缓存有效期
+const CACHE_TTL_MS = parseInt(process.env.CREDENTIAL_CACHE_TTL_MS, 10) || 30 * 60 * 1000
+// ws_token 在过期前多久主动刷新
+const REFRESH_MARGIN_MS = 5 * 60 * 1000
+// 上游未返回过期时间时，ws_token 的默认有效期
+const DEFAULT_WS_TTL_MS = 60 * 60 * 1000
+
+const cache = new Map()
+
+function hashToken(access_token) {
+  return crypto.createHash('sha256').update(access_token).digest('hex')
+}
+
+// 安排在 ws_token 过期前刷新
+function scheduleRefresh(key, entry) {
+  clearTimeout(entry.refreshTimer)
+  const delay = Math.max(entry.wsExpiresAt - Date.now() - REFRESH_MARGIN_MS, 0)
+  entry.refreshTimer = setTimeout(() => refreshWsToken(key, entry), delay)
+  entry.refreshTimer.unref()
+}
+
+async function refreshWsToken(key, entry) {
+  // 条目已失效或被替换时不再刷新
+  if (cache.get(key) !== entry || entry.expiresAt <= Date.now()) {
+    return invalidateKey(key)
+  }
+
+  try {
+    const { ws_token, clientId, ws_expires } = await requestWsToken(entry.account.access_token)
+    entry.account.ws_token = ws_token
+    entry.account.clientId = clientId
+    entry.wsExpiresAt = ws_expires || Date.now() + DEFAULT_WS_TTL_MS
+    scheduleRefresh(key, entry)
+    logger.info(`用户 ${entry.account.username} WebSocket令牌已刷新`)
+  } catch (error) {
+    logger.warn(`用户 ${entry.account.username} 刷新WebSocket令牌失败:`, error.message)
+    invalidateKey(key)
+  }
+}
+
+// 读取缓存的账户信息，过期或 ws_token 已失效时返回 null
+function get(access_token) {
+  const key = hashToken(access_token)
+  const entry = cache.get(key)
+  if (!entry) return null
+
+  const now = Date.now()
+  if (entry.expiresAt <= now || entry.wsExpiresAt <= now) {
+    invalidateKey(key)
+    return null
+  }
+  return { ...entry.account }
+}
+
+/**
+ * 写入缓存
+ * account: { access_token, ws_token, ws_expires, clientId, workspaceId, username }
+ */
+function set(access_token, account) {
+  const key = hashToken(access_token)
+  invalidateKey(key)
+
+  const { ws_expires, ...cachedAccount } = account
+  const entry = {
+    account: cachedAccount,
+    expiresAt: Date.now() + CACHE_TTL_MS,
+    wsExpiresAt: ws_expires || Date.now() + DEFAULT_WS_TTL_MS,
+    refreshTimer: null
+  }
+  cache.set(key, entry)
+  scheduleRefresh(key, entry)
+}
+
+function invalidateKey(key) {
+  const entry = cache.get(key)
+  if (!entry) return
+  clearTimeout(entry.refreshTimer)
+  cache.delete(key)
+}
+
+function invalidate(access_token) {
+  invalidateKey(hashToken(access_token))
+}
+
+// 后续调用出现认证失败时清除缓存，下次请求重新验证
+function reportError(account, error) {
+  if (!account || account.pooled) return
+  const status = error?.response?.status || error?.status
+  if (status === 401 || status === 403) {
+    invalidate(account.access_token)
+  }
+}
+
+module.exports = {
+  get,
+  set,
+  invalidate,
+  reportError
+}
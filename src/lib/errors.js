@@ -0,0 +1,90 @@
+// src/lib/errors.js
+// 将上游/内部错误归一化为 { status, message, type, code, param }，由各路由按自己的协议格式输出
+const logger = require('./logger')
+
+function normalizeError(error, context = '服务器内部错误') {
+  const status = error.response?.status || error.status || 500
+  let message = context
+  let type = 'server_error'
+  let code = 'server_error'
+  const param = error.param || null
+
+  // 内部构造的错误（带 status/type）保留自身的类型与错误码
+  if (error.status && error.type) {
+    type = error.type
+    code = error.code || error.type
+  }
+
+  if (error.response?.data) {
+    if (error.response.data.error) {
+      message = error.response.data.error.message || error.response.data.error
+      type = error.response.data.error.type || 'upstream_error'
+      code = error.response.data.error.code || 'upstream_error'
+    } else if (typeof error.response.data === 'string') {
+      message = error.response.data
+      type = 'upstream_error'
+      code = 'upstream_error'
+    } else {
+      message = JSON.stringify(error.response.data)
+      type = 'upstream_error'
+      code = 'upstream_error'
+    }
+  } else if (error.message) {
+    message = error.message
+  }
+
+  // 内部构造且带错误码的错误（如认证失败）已给出准确的类型，不再按状态码覆盖
+  if (error.status && error.type && error.code) {
+    return { status, message, type, code, param }
+  }
+
+  if (status === 401) {
+    type = 'authentication_error'
+    code = 'invalid_api_key'
+  } else if (status === 403) {
+    type = 'permission_error'
+    code = 'forbidden'
+  } else if (status === 429) {
+    type = 'rate_limit_error'
+    code = 'rate_limit_exceeded'
+  } else if (status === 503) {
+    type = 'service_unavailable'
+    code = 'service_unavailable'
+  }
+
+  return { status, message, type, code, param }
+}
+
+// OpenAI 格式的错误输出（聊天补全与文本补全共用）
+function handleChatError(res, error, context = '服务器内部错误') {
+  logger.error(`${context}:`, error)
+  const { status, message, type, code, param } = normalizeError(error, context)
+
+  // 如果响应头已经发送（流式模式），则不能再设置状态码
+  if (res.headersSent) {
+    // 对于流式响应，发送错误消息并结束流
+    try {
+      res.write(`data: ${JSON.stringify({ error: { message, type: error.type || 'stream_error' } })}\n\n`)
+      res.write(`data: [DONE]\n\n`)
+      res.end()
+    } catch (writeError) {
+      logger.error('写入流式错误响应失败:', writeError)
+      res.end()
+    }
+    return
+  }
+
+  return res.status(status).json({
+    "error": {
+      "message": message,
+      "type": type,
+      "param": param,
+      "code": code
+    }
+  })
+}
+
+module.exports = {
+  normalizeError,
+  handleChatError
+}
@@ -0,0 +1,158 @@
+// src/lib/health.js
+// 存活与就绪检查：模型表、PromptLayer API 与 Ably WebSocket 探测，关闭期间就绪检查失败以便负载均衡摘除
+const axios = require('axios')
+const upstream = require('./upstream')
+const modelRegistry = require('./model-registry')
+const accounts = require('./accounts')
+const realtime = require('./realtime')
+const metrics = require('./metrics')
+const { requestWsToken } = require('./promptlayer')
+
+// 就绪检查项，逗号分隔：registry, upstream, websocket
+const READY_CHECKS = (process.env.READY_CHECKS || 'registry,upstream,websocket')
+  .split(',').map(name => name.trim()).filter(Boolean)
+// 未配置账户池时用于探测的 PromptLayer API Key
+const READY_PROBE_TOKEN = process.env.READY_PROBE_TOKEN || ''
+// 探测结果缓存时间，避免频繁探测时每次都新建连接
+const READY_CACHE_MS = parseInt(process.env.READY_CACHE_MS, 10) || 10000
+// 单项探测超时
+const READY_TIMEOUT_MS = parseInt(process.env.READY_TIMEOUT_MS, 10) || 5000
+
+const startedAt = Date.now()
+let shuttingDown = false
+let cached = null
+
+// 探测使用的凭据：优先账户池中的账户，其次 READY_PROBE_TOKEN
+function probeCredential() {
+  const account = accounts.peek()
+  if (account) return { source: `pool:${account.username}`, access_token: account.access_token }
+  if (READY_PROBE_TOKEN) return { source: 'READY_PROBE_TOKEN', access_token: READY_PROBE_TOKEN }
+  return null
+}
+
+function withTimeout(promise, message) {
+  let timer
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), READY_TIMEOUT_MS)
+    })
+  ]).finally(() => clearTimeout(timer))
+}
+
+// 模型表：从未加载成功为失败，最近一次热加载失败为降级
+async function checkRegistry() {
+  const status = modelRegistry.getStatus()
+  return {
+    status: !status.loaded_at ? 'fail' : status.last_error ? 'degraded' : 'ok',
+    details: status
+  }
+}
+
+// PromptLayer API：能收到非 5xx 响应即视为可达；带凭据时凭据被拒为降级
+async function checkUpstream() {
+  const credential = probeCredential()
+  const headers = credential ? { Authorization: `Bearer ${credential.access_token}` } : {}
+  const response = await metrics.timeUpstream('health_probe', () => axios.get(upstream.apiUrl('/get-user'), {
+    headers,
+    timeout: READY_TIMEOUT_MS,
+    validateStatus: () => true
+  }))
+
+  const details = { http_status: response.status, credential: credential?.source || null }
+  if (response.status >= 500) {
+    return { status: 'fail', details, error: `HTTP ${response.status}` }
+  }
+  if (credential && (response.status === 401 || response.status === 403)) {
+    return { status: 'degraded', details, error: '探测凭据被拒绝' }
+  }
+  return { status: 'ok', details }
+}
+
+// Ably：申请临时令牌并建立一条临时连接，没有可用凭据时跳过
+async function checkWebSocket() {
+  const credential = probeCredential()
+  if (!credential) {
+    return { status: 'skipped', details: { reason: '没有可用于探测的凭据（账户池或 READY_PROBE_TOKEN）' } }
+  }
+
+  const { ws_token, clientId } = await requestWsToken(credential.access_token)
+  await realtime.probe({ ws_token, clientId }, READY_TIMEOUT_MS)
+  return { status: 'ok', details: { credential: credential.source, ...realtime.getStats() } }
+}
+
+const CHECKS = {
+  registry: checkRegistry,
+  upstream: checkUpstream,
+  websocket: checkWebSocket
+}
+
+async function runCheck(name) {
+  const started = Date.now()
+  try {
+    const result = await withTimeout(CHECKS[name](), `${name} 检查超时`)
+    return { ...result, latency_ms: Date.now() - started }
+  } catch (error) {
+    return { status: 'fail', latency_ms: Date.now() - started, error: error.message }
+  }
+}
+
+async function runChecks() {
+  const names = READY_CHECKS.filter(name => CHECKS[name])
+  const results = await Promise.all(names.map(runCheck))
+  const checks = {}
+  names.forEach((name, index) => { checks[name] = results[index] })
+  return {
+    ready: results.every(result => result.status !== 'fail'),
+    checks,
+    checked_at: new Date().toISOString()
+  }
+}
+
+// 存活检查：进程能响应即为存活
+function getHealth() {
+  return {
+    status: 'ok',
+    uptime_seconds: Math.floor((Date.now() - startedAt) / 1000),
+    shutting_down: shuttingDown
+  }
+}
+
+/**
+ * 就绪检查，返回 { ready, status, checks, checked_at }
+ * 探测结果缓存 READY_CACHE_MS，并发请求共用同一次探测
+ */
+async function getReadiness() {
+  if (shuttingDown) {
+    return { ready: false, status: 'shutting_down', checks: {}, checked_at: new Date().toISOString() }
+  }
+
+  if (!cached || cached.expiresAt <= Date.now()) {
+    const pending = runChecks()
+    cached = { promise: pending, expiresAt: Infinity }
+    pending.then(() => {
+      if (cached?.promise === pending) cached.expiresAt = Date.now() + READY_CACHE_MS
+    })
+  }
+
+  const result = await cached.promise
+  if (shuttingDown) {
+    return { ready: false, status: 'shutting_down', checks: result.checks, checked_at: result.checked_at }
+  }
+  return { ready: result.ready, status: result.ready ? 'ready' : 'not_ready', checks: result.checks, checked_at: result.checked_at }
+}
+
+function startShutdown() {
+  shuttingDown = true
+}
+
+function isShuttingDown() {
+  return shuttingDown
+}
+
+module.exports = {
+  getHealth,
+  getReadiness,
+  startShutdown,
+  isShuttingDown
+}
@@ -0,0 +1,145 @@
+// src/lib/logger.js
+// 日志：分级输出、可选 JSON 格式、按请求关联 ID，并自动隐藏密钥与令牌
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks')
+const util = require('util')
+const { v4: uuidv4 } = require('uuid')
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: 100 }
+// 日志级别：debug / info / warn / error / silent
+const LOG_LEVEL = LEVELS[(process.env.LOG_LEVEL || '').toLowerCase()] ? process.env.LOG_LEVEL.toLowerCase() : 'info'
+// 输出格式：text 便于阅读，json 每行一个对象，便于日志系统采集
+const LOG_FORMAT = (process.env.LOG_FORMAT || '').toLowerCase() === 'json' ? 'json' : 'text'
+
+// 当前请求的上下文 { requestId }，沿异步调用链自动传递
+const storage = new AsyncLocalStorage()
+
+// 客户端传入的请求 ID 需满足的格式，否则重新生成
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/
+
+const REDACTED = '[REDACTED]'
+// 值需要整体隐藏的字段
+const SECRET_KEYS = /^(authorization|x-api-key|api[-_]?key|access[-_]?token|ws[-_]?token|token|password|cookie|set-cookie)$/i
+// 字符串中的令牌：Bearer 头、URL 查询参数中的 access_token / key
+const SECRET_PATTERNS = [
+  [/(Bearer\s+)[^\s"',]+/gi, `$1${REDACTED}`],
+  [/([?&](?:access_token|accessToken|key|token)=)[^&\s"']+/gi, `$1${REDACTED}`]
+]
+const MAX_DEPTH = 5
+
+function redactString(text) {
+  return SECRET_PATTERNS.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text)
+}
+
+// axios 错误包含完整的请求配置（含 Authorization 头），只保留排查需要的字段
+function serializeError(error) {
+  const serialized = {
+    name: error.name,
+    message: redactString(String(error.message || ''))
+  }
+  if (error.code) serialized.code = error.code
+  const status = error.status || error.response?.status
+  if (status) serialized.status = status
+  if (error.isAxiosError || error.config) {
+    if (error.config?.method) serialized.method = error.config.method.toUpperCase()
+    if (error.config?.url) serialized.url = redactString(error.config.url)
+    if (error.response?.data !== undefined) serialized.response = redact(error.response.data, 1)
+  } else if (error.stack) {
+    serialized.stack = redactString(error.stack)
+  }
+  return serialized
+}
+
+// 复制一份隐藏了敏感字段的值用于输出
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactString(value)
+  if (value instanceof Error) return serializeError(value)
+  if (value === null || typeof value !== 'object') return value
+  if (Buffer.isBuffer(value)) return `<Buffer ${value.length} bytes>`
+  if (depth >= MAX_DEPTH) return Array.isArray(value) ? '[Array]' : '[Object]'
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1))
+
+  const result = {}
+  for (const [key, item] of Object.entries(value)) {
+    result[key] = SECRET_KEYS.test(key) && item ? REDACTED : redact(item, depth + 1)
+  }
+  return result
+}
+
+function formatText(level, requestId, args) {
+  const parts = args.map(arg => {
+    const value = redact(arg)
+    return typeof value === 'string' ? value : util.inspect(value, { depth: MAX_DEPTH, breakLength: Infinity })
+  })
+  const prefix = `${new Date().toISOString()} ${level.toUpperCase().padEnd(5)}${requestId ? ` [${requestId}]` : ''}`
+  return `${prefix} ${parts.join(' ')}`
+}
+
+// 第一个字符串参数作为 msg，错误放入 error，其余放入 data
+function formatJson(level, requestId, args) {
+  const entry = { time: new Date().toISOString(), level }
+  if (requestId) entry.request_id = requestId
+
+  const rest = [...args]
+  entry.msg = typeof rest[0] === 'string' ? redactString(rest.shift()) : ''
+  const errorIndex = rest.findIndex(arg => arg instanceof Error)
+  if (errorIndex !== -1) {
+    entry.error = serializeError(rest.splice(errorIndex, 1)[0])
+  }
+  if (rest.length > 0) {
+    entry.data = redact(rest.length === 1 ? rest[0] : rest)
+  }
+
+  try {
+    return JSON.stringify(entry)
+  } catch (error) {
+    return JSON.stringify({ ...entry, data: util.inspect(entry.data) })
+  }
+}
+
+function write(level, args) {
+  if (LEVELS[level] < LEVELS[LOG_LEVEL]) return
+  const requestId = storage.getStore()?.requestId
+  const line = LOG_FORMAT === 'json' ? formatJson(level, requestId, args) : formatText(level, requestId, args)
+  if (LEVELS[level] >= LEVELS.warn) {
+    process.stderr.write(line + '\n')
+  } else {
+    process.stdout.write(line + '\n')
+  }
+}
+
+function isLevelEnabled(level) {
+  return LEVELS[level] >= LEVELS[LOG_LEVEL]
+}
+
+/**
+ * 分配请求 ID 并在整个请求期间生效
+ * 优先使用客户端传入的 X-Request-Id，通过响应头 X-Request-Id 返回
+ */
+function middleware(req, res, next) {
+  const incoming = req.headers['x-request-id']
+  req.requestId = typeof incoming === 'string' && REQUEST_ID_PATTERN.test(incoming) ? incoming : uuidv4()
+  res.setHeader('X-Request-Id', req.requestId)
+  storage.run({ requestId: req.requestId }, next)
+}
+
+// 绑定当前请求上下文，用于在 WebSocket 等事件回调中沿用请求 ID
+function bind(fn) {
+  return AsyncResource.bind(fn)
+}
+
+// 在请求上下文之外执行，用于创建跨请求共享的资源（如长连接），避免其事件沿用创建者的请求 ID
+function detached(fn) {
+  return storage.exit(fn)
+}
+
+module.exports = {
+  debug: (...args) => write('debug', args),
+  info: (...args) => write('info', args),
+  warn: (...args) => write('warn', args),
+  error: (...args) => write('error', args),
+  isLevelEnabled,
+  middleware,
+  bind,
+  detached,
+  redact
+}
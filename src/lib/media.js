@@ -0,0 +1,121 @@
+// src/lib/media.js
+// 附件识别：解析 data URL、按文件头识别 MIME 类型，并映射为 PromptLayer 的媒体类型与文件名
+
+// 单个附件大小上限
+const MAX_IMAGE_BYTES = parseInt(process.env.MAX_IMAGE_BYTES, 10) || 20 * 1024 * 1024
+const MAX_FILE_BYTES = parseInt(process.env.MAX_FILE_BYTES, 10) || 32 * 1024 * 1024
+
+// 文件头特征：[MIME 类型, 偏移, 字节]
+const SIGNATURES = [
+  ['image/png', 0, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]],
+  ['image/jpeg', 0, [0xff, 0xd8, 0xff]],
+  ['image/gif', 0, [0x47, 0x49, 0x46, 0x38]],
+  ['image/bmp', 0, [0x42, 0x4d]],
+  ['image/tiff', 0, [0x49, 0x49, 0x2a, 0x00]],
+  ['image/tiff', 0, [0x4d, 0x4d, 0x00, 0x2a]],
+  ['application/pdf', 0, [0x25, 0x50, 0x44, 0x46, 0x2d]],
+  ['application/zip', 0, [0x50, 0x4b, 0x03, 0x04]]
+]
+
+const EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp',
+  'image/bmp': 'bmp',
+  'image/tiff': 'tiff',
+  'image/heic': 'heic',
+  'image/svg+xml': 'svg',
+  'application/pdf': 'pdf',
+  'application/zip': 'zip',
+  'application/json': 'json',
+  'text/plain': 'txt',
+  'text/markdown': 'md',
+  'text/csv': 'csv',
+  'text/html': 'html'
+}
+
+// PromptLayer 模板中 media 内容的类型
+function mediaTypeFor(mimeType) {
+  if (mimeType.startsWith('image/')) return 'image'
+  if (mimeType === 'application/pdf') return 'document'
+  return 'file'
+}
+
+function matches(buffer, offset, bytes) {
+  if (buffer.length < offset + bytes.length) return false
+  return bytes.every((byte, index) => buffer[offset + index] === byte)
+}
+
+// 按文件头识别 MIME 类型，无法识别时返回 null
+function sniffMimeType(buffer) {
+  for (const [mimeType, offset, bytes] of SIGNATURES) {
+    if (matches(buffer, offset, bytes)) return mimeType
+  }
+  // RIFF....WEBP
+  if (matches(buffer, 0, [0x52, 0x49, 0x46, 0x46]) && matches(buffer, 8, [0x57, 0x45, 0x42, 0x50])) {
+    return 'image/webp'
+  }
+  // ....ftypheic / ftypmif1
+  if (matches(buffer, 4, [0x66, 0x74, 0x79, 0x70])) {
+    const brand = buffer.subarray(8, 12).toString('ascii')
+    if (['heic', 'heix', 'mif1', 'msf1'].includes(brand)) return 'image/heic'
+  }
+  return null
+}
+
+/**
+ * 解析 base64 data URL，返回 { mimeType, buffer }，不是 data URL 时返回 null
+ * 文件头能识别时以实际内容为准，避免声明的类型与内容不符
+ */
+function parseDataUrl(url) {
+  const match = typeof url === 'string' && url.match(/^data:([^;,]*)((?:;[^;,]*)*);base64,(.*)$/s)
+  if (!match) return null
+
+  const buffer = Buffer.from(match[3], 'base64')
+  const declared = match[1].toLowerCase() || null
+  return {
+    mimeType: sniffMimeType(buffer) || declared || 'application/octet-stream',
+    buffer
+  }
+}
+
+// 生成文件名：优先使用客户端提供的名称
+function buildFilename(mimeType, filename) {
+  if (filename) return filename
+  const prefix = mimeType.startsWith('image/') ? 'image' : 'file'
+  return `${prefix}_${Date.now()}.${EXTENSIONS[mimeType] || 'bin'}`
+}
+
+// 从外部 URL 推断文件名
+function filenameFromUrl(url, fallback) {
+  try {
+    const name = decodeURIComponent(new URL(url).pathname.split('/').pop() || '')
+    return name || fallback
+  } catch (error) {
+    return fallback
+  }
+}
+
+// 按 URL 路径中的扩展名推断 MIME 类型，无法识别时返回 null
+function mimeTypeFromUrl(url) {
+  const match = filenameFromUrl(url, '').match(/\.([a-z0-9]+)$/i)
+  if (!match) return null
+  const extension = match[1].toLowerCase() === 'jpeg' ? 'jpg' : match[1].toLowerCase()
+  return Object.keys(EXTENSIONS).find(mimeType => EXTENSIONS[mimeType] === extension) || null
+}
+
+// 附件大小上限：图片与其他文件分开配置
+function maxBytesFor(mimeType) {
+  return mimeType.startsWith('image/') ? MAX_IMAGE_BYTES : MAX_FILE_BYTES
+}
+
+module.exports = {
+  sniffMimeType,
+  parseDataUrl,
+  mediaTypeFor,
+  buildFilename,
+  filenameFromUrl,
+  mimeTypeFromUrl,
+  maxBytesFor
+}
@@ -0,0 +1,179 @@
+// src/lib/metrics.js
+// Prometheus 指标：请求量与延迟、首字延迟、上游调用耗时、重试、WebSocket 连接、上传缓存命中与 token 用量
+const client = require('prom-client')
+
+const PREFIX = 'promptlayer_proxy_'
+
+const register = new client.Registry()
+client.collectDefaultMetrics({ register, prefix: PREFIX })
+
+// 生成耗时从几百毫秒到数分钟不等
+const LATENCY_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600]
+const UPSTREAM_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]
+
+const httpRequests = new client.Counter({
+  name: `${PREFIX}http_requests_total`,
+  help: '代理收到的请求数',
+  labelNames: ['route', 'model', 'status'],
+  registers: [register]
+})
+
+const httpDuration = new client.Histogram({
+  name: `${PREFIX}http_request_duration_seconds`,
+  help: '请求从收到到响应结束的总耗时',
+  labelNames: ['route', 'model', 'status'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register]
+})
+
+const timeToFirstToken = new client.Histogram({
+  name: `${PREFIX}time_to_first_token_seconds`,
+  help: '请求从收到到输出第一个增量（思考、正文或工具调用）的耗时',
+  labelNames: ['route', 'model'],
+  buckets: LATENCY_BUCKETS,
+  registers: [register]
+})
+
+const upstreamDuration = new client.Histogram({
+  name: `${PREFIX}upstream_request_duration_seconds`,
+  help: 'PromptLayer 上游接口调用耗时',
+  labelNames: ['endpoint', 'outcome'],
+  buckets: UPSTREAM_BUCKETS,
+  registers: [register]
+})
+
+const retries = new client.Counter({
+  name: `${PREFIX}retries_total`,
+  help: '重试次数',
+  labelNames: ['operation'],
+  registers: [register]
+})
+
+const tokens = new client.Counter({
+  name: `${PREFIX}tokens_total`,
+  help: 'token 用量（含估算值），reasoning 为 completion 中的思考部分',
+  labelNames: ['model', 'type'],
+  registers: [register]
+})
+
+// 以下指标在抓取时读取各模块的状态；realtime 依赖 promptlayer，而 promptlayer 依赖本模块，需延迟加载避免循环引用
+new client.Gauge({
+  name: `${PREFIX}websocket_connections`,
+  help: 'Ably WebSocket 连接数',
+  labelNames: ['state'],
+  registers: [register],
+  collect() {
+    const stats = require('./realtime').getStats()
+    this.set({ state: 'open' }, stats.open)
+    this.set({ state: 'total' }, stats.connections)
+  }
+})
+
+new client.Gauge({
+  name: `${PREFIX}websocket_subscribers`,
+  help: '正在等待 WebSocket 消息的运行数',
+  registers: [register],
+  collect() {
+    this.set(require('./realtime').getStats().subscribers)
+  }
+})
+
+new client.Gauge({
+  name: `${PREFIX}upload_cache_entries`,
+  help: '上传缓存条目数',
+  registers: [register],
+  collect() {
+    this.set(require('./caches').getStats().size)
+  }
+})
+
+new client.Counter({
+  name: `${PREFIX}upload_cache_lookups_total`,
+  help: '上传缓存查询次数',
+  labelNames: ['result'],
+  registers: [register],
+  collect() {
+    const stats = require('./caches').getStats()
+    this.reset()
+    this.inc({ result: 'hit' }, stats.hits)
+    this.inc({ result: 'miss' }, stats.misses)
+  }
+})
+
+new client.Gauge({
+  name: `${PREFIX}upload_cache_hit_ratio`,
+  help: '上传缓存命中率（尚无查询时为 0）',
+  registers: [register],
+  collect() {
+    const { hits, misses } = require('./caches').getStats()
+    this.set(hits + misses > 0 ? hits / (hits + misses) : 0)
+  }
+})
+
+// 路由模板作为标签，未匹配的路径统一归类，避免标签基数失控
+function routeLabel(req) {
+  if (!req.route) return 'unmatched'
+  return (req.baseUrl || '') + req.route.path
+}
+
+// 只使用模型表中的模型ID作为标签
+function modelLabel(req) {
+  return req.model?.id || 'unknown'
+}
+
+// 记录每个请求的状态码与总耗时
+function middleware(req, res, next) {
+  req.startedAt = process.hrtime.bigint()
+  res.on('close', () => {
+    const labels = { route: routeLabel(req), model: modelLabel(req), status: String(res.statusCode) }
+    httpRequests.inc(labels)
+    httpDuration.observe(labels, elapsedSeconds(req.startedAt))
+  })
+  next()
+}
+
+function elapsedSeconds(startedAt) {
+  return Number(process.hrtime.bigint() - startedAt) / 1e9
+}
+
+// 首个增量输出时调用，同一请求只记录一次
+function recordFirstToken(req) {
+  if (req.firstTokenRecorded || !req.startedAt) return
+  req.firstTokenRecorded = true
+  timeToFirstToken.observe({ route: routeLabel(req), model: modelLabel(req) }, elapsedSeconds(req.startedAt))
+}
+
+// 计时一次上游调用，结果与异常原样返回
+async function timeUpstream(endpoint, call) {
+  const end = upstreamDuration.startTimer({ endpoint })
+  try {
+    const result = await call()
+    end({ outcome: 'success' })
+    return result
+  } catch (error) {
+    end({ outcome: 'error' })
+    throw error
+  }
+}
+
+function recordRetry(operation) {
+  retries.inc({ operation })
+}
+
+function recordTokens(req, usage) {
+  if (!usage) return
+  const model = modelLabel(req)
+  const reasoning = usage.completion_tokens_details?.reasoning_tokens || 0
+  tokens.inc({ model, type: 'prompt' }, usage.prompt_tokens || 0)
+  tokens.inc({ model, type: 'completion' }, usage.completion_tokens || 0)
+  tokens.inc({ model, type: 'reasoning' }, reasoning)
+}
+
+module.exports = {
+  register,
+  middleware,
+  recordFirstToken,
+  timeUpstream,
+  recordRetry,
+  recordTokens
+}
@@ -1,8 +1,14 @@
+// 内置模型表：未配置 MODELS_FILE 时使用，也是外部模型表的默认值
+// aliases 为别名，context_window / max_output_tokens / supports_thinking 为模型元数据，不会发送到上游
 const modelMap = {
   "claude-3-7-sonnet-20250219": {
     "provider": "anthropic",
     "name": "claude-3-7-sonnet-latest",
     "model_config_display_name": null,
+    "aliases": ["claude-3-7-sonnet-latest"],
+    "context_window": 200000,
+    "max_output_tokens": 64000,
+    "supports_thinking": true,
     "parameters": {
       "max_tokens": 64000,
       "temperature": 1,
@@ -14,6 +20,9 @@ const modelMap = {
     "provider": "anthropic",
     "name": "claude-3-7-sonnet-latest",
     "model_config_display_name": null,
+    "aliases": ["claude-3-7-sonnet-latest-thinking"],
+    "context_window": 200000,
+    "max_output_tokens": 64000,
     "parameters": {
       "max_tokens": 64000,
       "thinking": {
@@ -26,6 +35,10 @@ const modelMap = {
     "provider": "anthropic",
     "name": "claude-sonnet-4-20250514",
     "model_config_display_name": null,
+    "aliases": ["claude-sonnet-4-0", "claude-sonnet-latest"],
+    "context_window": 200000,
+    "max_output_tokens": 64000,
+    "supports_thinking": true,
     "parameters": {
       "max_tokens": 64000,
       "temperature": 1,
@@ -37,6 +50,9 @@ const modelMap = {
     "provider": "anthropic",
     "name": "claude-sonnet-4-20250514",
     "model_config_display_name": null,
+    "aliases": ["claude-sonnet-4-0-thinking", "claude-sonnet-latest-thinking"],
+    "context_window": 200000,
+    "max_output_tokens": 64000,
     "parameters": {
       "max_tokens": 64000,
       "thinking": {
@@ -49,6 +65,10 @@ const modelMap = {
     "provider": "anthropic",
     "name": "claude-opus-4-20250514",
     "model_config_display_name": null,
+    "aliases": ["claude-opus-4-0", "claude-opus-latest"],
+    "context_window": 200000,
+    "max_output_tokens": 32000,
+    "supports_thinking": true,
     "parameters": {
       "max_tokens": 32000,
       "temperature": 1,
@@ -60,6 +80,9 @@ const modelMap = {
     "provider": "anthropic",
     "name": "claude-opus-4-20250514",
     "model_config_display_name": null,
+    "aliases": ["claude-opus-4-0-thinking", "claude-opus-latest-thinking"],
+    "context_window": 200000,
+    "max_output_tokens": 32000,
     "parameters": {
       "max_tokens": 32000,
       "thinking": {
@@ -72,6 +95,9 @@ const modelMap = {
     "provider": "openai",
     "name": "o4-mini",
     "model_config_display_name": null,
+    "aliases": ["o4-mini-2025-04-16"],
+    "context_window": 200000,
+    "max_output_tokens": 100000,
     "parameters": {
       "response_format": {
         "type": "text"
@@ -84,6 +110,9 @@ const modelMap = {
     "provider": "openai",
     "name": "chatgpt-4o-latest",
     "model_config_display_name": null,
+    "aliases": [],
+    "context_window": 128000,
+    "max_output_tokens": 16384,
     "parameters": {
       "temperature": 1,
       "seed": 0,
@@ -97,6 +126,9 @@ const modelMap = {
     "provider": "openai",
     "name": "gpt-4.1",
     "model_config_display_name": null,
+    "aliases": ["gpt-4.1-2025-04-14"],
+    "context_window": 1047576,
+    "max_output_tokens": 32768,
     "parameters": {
       "temperature": 1,
       "seed": 0,
@@ -108,6 +140,9 @@ const modelMap = {
     "provider": "openai",
     "name": "gpt-4.5-preview",
     "model_config_display_name": null,
+    "aliases": ["gpt-4.5-preview-2025-02-27"],
+    "context_window": 128000,
+    "max_output_tokens": 16384,
     "parameters": {
       "temperature": 1,
       "seed": 0,
@@ -0,0 +1,191 @@
+// src/lib/model-registry.js
+// 模型注册表：内置模型表 + 外部 JSON/YAML 文件（MODELS_FILE），支持别名、启用/禁用与热加载
+const fs = require('fs')
+const path = require('path')
+const YAML = require('yaml')
+const defaultModels = require('./model-map')
+const logger = require('./logger')
+
+const MODELS_FILE = process.env.MODELS_FILE || ''
+// 文件变更检查间隔
+const WATCH_INTERVAL_MS = 2000
+// 只用于本地的元数据字段，构建上游模型配置时剔除
+const METADATA_FIELDS = ['aliases', 'enabled', 'context_window', 'max_output_tokens', 'supports_thinking', 'owned_by', 'created']
+
+let models = {}
+let aliases = {}
+let loadedAt = 0
+let lastError = null
+let watching = false
+
+// 读取并解析外部模型文件
+// 支持两种写法：{ models: {...}, aliases: {...}, inherit_defaults: true } 或直接以模型 id 为键
+function readModelsFile(file) {
+  const content = fs.readFileSync(file, 'utf-8')
+  const ext = path.extname(file).toLowerCase()
+  const data = ext === '.yaml' || ext === '.yml' ? YAML.parse(content) : JSON.parse(content)
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new Error('模型文件格式错误，应为对象')
+  }
+  if (data.models && typeof data.models === 'object') {
+    return {
+      models: data.models,
+      aliases: data.aliases || {},
+      inheritDefaults: data.inherit_defaults !== false
+    }
+  }
+  return { models: data, aliases: {}, inheritDefaults: true }
+}
+
+// 合并内置模型与文件中的模型，文件中的同名模型覆盖内置配置
+function buildRegistry(config) {
+  const nextModels = {}
+  const nextAliases = {}
+
+  if (config.inheritDefaults) {
+    for (const id in defaultModels) {
+      nextModels[id] = JSON.parse(JSON.stringify(defaultModels[id]))
+    }
+  }
+
+  for (const id in config.models) {
+    const entry = config.models[id] || {}
+    const merged = { ...(nextModels[id] || {}), ...entry }
+    if (!merged.provider || !merged.name) {
+      throw new Error(`模型 ${id} 缺少 provider 或 name`)
+    }
+    merged.parameters = merged.parameters || {}
+    nextModels[id] = merged
+  }
+
+  for (const id in nextModels) {
+    for (const alias of nextModels[id].aliases || []) {
+      nextAliases[alias] = id
+    }
+  }
+  for (const alias in config.aliases) {
+    if (!nextModels[config.aliases[alias]]) {
+      throw new Error(`别名 ${alias} 指向不存在的模型 ${config.aliases[alias]}`)
+    }
+    nextAliases[alias] = config.aliases[alias]
+  }
+
+  return { models: nextModels, aliases: nextAliases }
+}
+
+/**
+ * 重新加载模型表，失败时保留当前模型表
+ * 返回是否加载成功
+ */
+function reload() {
+  try {
+    const config = MODELS_FILE
+      ? readModelsFile(MODELS_FILE)
+      : { models: {}, aliases: {}, inheritDefaults: true }
+    const registry = buildRegistry(config)
+    models = registry.models
+    aliases = registry.aliases
+    loadedAt = Date.now()
+    lastError = null
+    logger.info(`模型表加载完成: ${Object.keys(models).length} 个模型, ${Object.keys(aliases).length} 个别名${MODELS_FILE ? `, 来源 ${MODELS_FILE}` : ''}`)
+    return true
+  } catch (error) {
+    lastError = error.message
+    logger.error(`模型表加载失败${loadedAt ? '，继续使用上一次的模型表' : ''}:`, error.message)
+    return false
+  }
+}
+
+// 内置模型表保证启动时至少有可用配置
+function ensureLoaded() {
+  if (!loadedAt && !reload()) {
+    models = buildRegistry({ models: {}, aliases: {}, inheritDefaults: true }).models
+    loadedAt = Date.now()
+  }
+}
+
+// 监听文件变化与 SIGHUP，热加载模型表
+function watch() {
+  ensureLoaded()
+  if (watching) return
+  watching = true
+
+  process.on('SIGHUP', () => {
+    logger.info('收到 SIGHUP，重新加载模型表')
+    reload()
+  })
+
+  if (MODELS_FILE) {
+    fs.watchFile(MODELS_FILE, { interval: WATCH_INTERVAL_MS, persistent: false }, (current, previous) => {
+      if (current.mtimeMs !== previous.mtimeMs) {
+        logger.info(`模型文件已变更: ${MODELS_FILE}`)
+        reload()
+      }
+    })
+  }
+}
+
+/**
+ * 按模型 id 或别名查找已启用的模型
+ * 返回 { id, ...模型配置 }，找不到或已禁用时返回 null
+ */
+function resolve(modelId) {
+  ensureLoaded()
+  if (typeof modelId !== 'string') return null
+  const id = models[modelId] ? modelId : aliases[modelId]
+  const entry = id && models[id]
+  if (!entry || entry.enabled === false) {
+    return null
+  }
+  return { id, ...entry }
+}
+
+// 列出所有已启用的模型
+function list() {
+  ensureLoaded()
+  return Object.keys(models)
+    .filter(id => models[id].enabled !== false)
+    .map(id => ({ id, ...models[id] }))
+}
+
+// 发送到上游的模型配置（不含本地元数据）
+function toUpstreamModel(entry) {
+  const model = JSON.parse(JSON.stringify(entry))
+  delete model.id
+  for (const field of METADATA_FIELDS) {
+    delete model[field]
+  }
+  return model
+}
+
+// 模型不存在的错误，由各路由按自己的协议格式输出
+function modelNotFoundError(modelId) {
+  const error = new Error(`模型 ${modelId} 不存在或未启用`)
+  error.status = 404
+  error.type = 'invalid_request_error'
+  error.code = 'model_not_found'
+  error.param = 'model'
+  return error
+}
+
+function getStatus() {
+  ensureLoaded()
+  return {
+    source: MODELS_FILE || 'builtin',
+    models: Object.keys(models).length,
+    aliases: Object.keys(aliases).length,
+    loaded_at: loadedAt ? new Date(loadedAt).toISOString() : null,
+    last_error: lastError
+  }
+}
+
+module.exports = {
+  reload,
+  watch,
+  resolve,
+  list,
+  toUpstreamModel,
+  modelNotFoundError,
+  getStatus
+}
@@ -0,0 +1,259 @@
+// src/lib/parameters.js
+// 请求参数转换：按供应商的取值范围校验客户端参数，并映射为上游字段名
+// 客户端显式传入的值（包括 0）原样使用，无法满足时返回 400 而不是静默改写
+
+// 各供应商支持的参数
+// from: 可接受的客户端字段（按顺序取第一个有值的），上游字段名与键名相同
+const PROVIDER_PARAMETERS = {
+  anthropic: {
+    temperature: { type: 'number', min: 0, max: 1 },
+    top_p: { type: 'number', min: 0, max: 1 },
+    top_k: { type: 'integer', min: 0 },
+    max_tokens: { type: 'integer', min: 1, from: ['max_completion_tokens', 'max_tokens'], maxTokens: true },
+    stop_sequences: { type: 'stop', from: ['stop_sequences', 'stop'] }
+  },
+  openai: {
+    temperature: { type: 'number', min: 0, max: 2, sampling: 1 },
+    top_p: { type: 'number', min: 0, max: 1, sampling: 1 },
+    frequency_penalty: { type: 'number', min: -2, max: 2, sampling: 0 },
+    presence_penalty: { type: 'number', min: -2, max: 2, sampling: 0 },
+    seed: { type: 'integer' },
+    max_tokens: { type: 'integer', min: 1, from: ['max_completion_tokens', 'max_tokens'], maxTokens: true },
+    stop: { type: 'stop', from: ['stop', 'stop_sequences'], maxItems: 4 },
+    reasoning_effort: { type: 'enum', values: ['low', 'medium', 'high'], reasoning: true }
+  }
+}
+
+// reasoning_effort 对应的思考预算占 max_tokens 的比例（Anthropic）
+const EFFORT_BUDGET_RATIOS = { low: 0.2, medium: 0.5, high: 0.8 }
+// 思考预算对应的 reasoning_effort 上限（OpenAI 推理模型）
+const BUDGET_EFFORT_LIMITS = [[4096, 'low'], [16384, 'medium']]
+// Anthropic 思考预算下限
+const MIN_THINKING_BUDGET = 1024
+
+// 供应商不支持的参数：传入无效果的值（如 0）时忽略，其余返回错误
+const UNSUPPORTED_PARAMETERS = {
+  anthropic: { seed: undefined, frequency_penalty: 0, presence_penalty: 0 },
+  openai: { top_k: 0 }
+}
+
+// 模型默认参数中取值为 0 的这些参数是占位值，客户端未传入时不发送到上游
+const PLACEHOLDER_DEFAULTS = ['top_p', 'top_k', 'seed', 'frequency_penalty', 'presence_penalty']
+
+// 参数错误，由各路由按自己的协议格式输出
+function invalidParameterError(param, message) {
+  const error = new Error(message)
+  error.status = 400
+  error.type = 'invalid_request_error'
+  error.code = 'invalid_value'
+  error.param = param
+  return error
+}
+
+// 推理模型（默认参数含 reasoning_effort）不支持采样参数
+function isReasoningModel(model) {
+  return model.parameters?.reasoning_effort !== undefined
+}
+
+// 校验单个值的类型与范围
+function validateValue(param, value, spec, limit) {
+  if (spec.type === 'number' || spec.type === 'integer') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw invalidParameterError(param, `${param} 必须是数字`)
+    }
+    if (spec.type === 'integer' && !Number.isInteger(value)) {
+      throw invalidParameterError(param, `${param} 必须是整数`)
+    }
+    const max = limit !== undefined ? limit : spec.max
+    if ((spec.min !== undefined && value < spec.min) || (max !== undefined && value > max)) {
+      const range = max !== undefined ? `${spec.min} 到 ${max} 之间` : `不小于 ${spec.min}`
+      throw invalidParameterError(param, `${param} 取值 ${value} 超出范围，应在 ${range}`)
+    }
+    return value
+  }
+
+  if (spec.type === 'stop') {
+    const values = typeof value === 'string' ? [value] : value
+    if (!Array.isArray(values) || values.some(item => typeof item !== 'string')) {
+      throw invalidParameterError(param, `${param} 必须是字符串或字符串数组`)
+    }
+    if (spec.maxItems && values.length > spec.maxItems) {
+      throw invalidParameterError(param, `${param} 最多包含 ${spec.maxItems} 项`)
+    }
+    return values
+  }
+
+  if (spec.type === 'enum' && !spec.values.includes(value)) {
+    throw invalidParameterError(param, `${param} 取值 ${JSON.stringify(value)} 无效，可选值: ${spec.values.join(', ')}`)
+  }
+  return value
+}
+
+// 是否传入了某个参数（null 视为未传入）
+function has(body, param) {
+  return body[param] !== undefined && body[param] !== null
+}
+
+// 解析客户端的思考请求：thinking 优先于 reasoning_effort
+// 返回 null（未指定）或 { enabled, budget, effort, param }
+function readThinkingRequest(body) {
+  if (has(body, 'thinking')) {
+    const thinking = body.thinking
+    if (typeof thinking !== 'object' || !['enabled', 'disabled'].includes(thinking.type)) {
+      throw invalidParameterError('thinking', 'thinking.type 必须是 enabled 或 disabled')
+    }
+    if (thinking.type === 'disabled') {
+      return { enabled: false, param: 'thinking' }
+    }
+    if (thinking.budget_tokens !== undefined && !Number.isInteger(thinking.budget_tokens)) {
+      throw invalidParameterError('thinking.budget_tokens', 'thinking.budget_tokens 必须是整数')
+    }
+    return { enabled: true, budget: thinking.budget_tokens, param: 'thinking' }
+  }
+  if (has(body, 'reasoning_effort')) {
+    const effort = validateValue('reasoning_effort', body.reasoning_effort, PROVIDER_PARAMETERS.openai.reasoning_effort)
+    return { enabled: true, effort, param: 'reasoning_effort' }
+  }
+  return null
+}
+
+// Anthropic 思考配置：计算预算并处理开启思考时的采样参数限制
+function applyAnthropicThinking(parameters, body, model) {
+  const request = readThinkingRequest(body)
+  const capable = model.supports_thinking === true || model.parameters?.thinking !== undefined
+
+  if (request && !request.enabled) {
+    delete parameters.thinking
+    return
+  }
+  if (request && !capable) {
+    throw invalidParameterError(request.param, `模型 ${model.id} 不支持思考`)
+  }
+  if (!request && parameters.thinking?.type !== 'enabled') {
+    return
+  }
+
+  const maxTokens = parameters.max_tokens
+  if (!maxTokens || maxTokens <= MIN_THINKING_BUDGET) {
+    throw invalidParameterError('max_tokens', `开启思考时 max_tokens 必须大于 ${MIN_THINKING_BUDGET}`)
+  }
+
+  let budget
+  if (request?.budget !== undefined) {
+    budget = request.budget
+    if (budget < MIN_THINKING_BUDGET || budget >= maxTokens) {
+      throw invalidParameterError('thinking.budget_tokens', `thinking.budget_tokens 应不小于 ${MIN_THINKING_BUDGET} 且小于 max_tokens (${maxTokens})`)
+    }
+  } else if (request?.effort) {
+    budget = Math.floor(maxTokens * EFFORT_BUDGET_RATIOS[request.effort])
+  } else {
+    // 未指定预算时使用模型默认值，超出 max_tokens 时取一半留给正文
+    budget = parameters.thinking?.budget_tokens
+    if (!budget || budget >= maxTokens) {
+      budget = Math.floor(maxTokens / 2)
+    }
+  }
+  parameters.thinking = { type: 'enabled', budget_tokens: Math.max(budget, MIN_THINKING_BUDGET) }
+
+  // 开启思考时 temperature 固定为 1，top_p 只能在 0.95 到 1 之间，不支持 top_k
+  if (has(body, 'temperature') && body.temperature !== 1) {
+    throw invalidParameterError('temperature', '开启思考时 temperature 只能为 1')
+  }
+  if (has(body, 'top_p') && (body.top_p < 0.95 || body.top_p > 1)) {
+    throw invalidParameterError('top_p', '开启思考时 top_p 应在 0.95 到 1 之间')
+  }
+  if (has(body, 'top_k') && body.top_k !== 0) {
+    throw invalidParameterError('top_k', '开启思考时不支持 top_k')
+  }
+  delete parameters.temperature
+  delete parameters.top_k
+  if (!has(body, 'top_p')) {
+    delete parameters.top_p
+  }
+}
+
+// OpenAI 推理模型：Anthropic 风格的 thinking 按预算映射为 reasoning_effort
+function applyOpenAIThinking(parameters, body, model) {
+  if (!has(body, 'thinking')) return
+  const request = readThinkingRequest(body)
+
+  if (!isReasoningModel(model)) {
+    throw invalidParameterError('thinking', `模型 ${model.id} 不支持思考`)
+  }
+  if (!request.enabled) {
+    throw invalidParameterError('thinking', `推理模型 ${model.id} 无法关闭推理`)
+  }
+  if (request.budget !== undefined && !has(body, 'reasoning_effort')) {
+    const limit = BUDGET_EFFORT_LIMITS.find(([max]) => request.budget < max)
+    parameters.reasoning_effort = limit ? limit[1] : 'high'
+  }
+}
+
+/**
+ * 将客户端参数转换为上游模型参数
+ * model 为模型注册表中的条目，以模型默认参数为基础返回完整的参数对象
+ * 未传入（或为 null）的参数保留模型默认值，占位的 0 值除外
+ */
+function translateParameters(body, model) {
+  const provider = model.provider
+  const specs = PROVIDER_PARAMETERS[provider] || {}
+  const unsupported = UNSUPPORTED_PARAMETERS[provider] || {}
+  const reasoningModel = isReasoningModel(model)
+  const parameters = JSON.parse(JSON.stringify(model.parameters || {}))
+  for (const param of PLACEHOLDER_DEFAULTS) {
+    if (parameters[param] === 0) delete parameters[param]
+  }
+
+  for (const param in unsupported) {
+    const value = body[param]
+    if (value === undefined || value === null || value === unsupported[param]) continue
+    throw invalidParameterError(param, `模型 ${model.id} 不支持参数 ${param}`)
+  }
+
+  for (const key in specs) {
+    const spec = specs[key]
+    const param = (spec.from || [key]).find(name => body[name] !== undefined && body[name] !== null)
+    if (!param) continue
+    const value = body[param]
+
+    // 推理模型只接受采样参数的默认值，非推理模型不接受 reasoning_effort
+    if (spec.sampling !== undefined && reasoningModel) {
+      if (value === spec.sampling) continue
+      throw invalidParameterError(param, `推理模型 ${model.id} 不支持参数 ${param}`)
+    }
+    if (spec.reasoning && !reasoningModel) {
+      throw invalidParameterError(param, `模型 ${model.id} 不支持参数 ${param}`)
+    }
+
+    const limit = spec.maxTokens ? model.max_output_tokens : undefined
+    let target = key
+    // OpenAI 推理模型使用 max_completion_tokens
+    if (spec.maxTokens && model.parameters?.max_completion_tokens !== undefined) {
+      target = 'max_completion_tokens'
+    }
+    parameters[target] = validateValue(param, value, spec, limit)
+  }
+
+  if (provider === 'anthropic') {
+    applyAnthropicThinking(parameters, body, model)
+  } else if (provider === 'openai') {
+    applyOpenAIThinking(parameters, body, model)
+  }
+
+  return parameters
+}
+
+// 单次请求最多返回的候选数量（n）
+const MAX_CHOICES = parseInt(process.env.MAX_CHOICES, 10) || 8
+
+// 解析 n：每个候选对应运行组中的一次运行
+function resolveChoiceCount(body) {
+  if (!has(body, 'n')) return 1
+  return validateValue('n', body.n, { type: 'integer', min: 1, max: MAX_CHOICES })
+}
+
+module.exports = {
+  translateParameters,
+  resolveChoiceCount,
+  invalidParameterError
+}
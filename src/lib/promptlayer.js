@@ -0,0 +1,299 @@
+// src/lib/promptlayer.js
+// PromptLayer 上游调用：登录认证、会话创建与运行组提交
+const axios = require('axios')
+const { v4: uuidv4 } = require('uuid')
+const upstream = require('./upstream')
+const modelRegistry = require('./model-registry')
+const sessions = require('./sessions')
+const { translateParameters } = require('./parameters')
+const { applyStructuredOutput } = require('./structured')
+const metrics = require('./metrics')
+const logger = require('./logger')
+
+// 使用账号密码登录，返回 access_token
+async function login(email, password) {
+  const response = await metrics.timeUpstream('login', () => axios.post(upstream.apiUrl('/login'), { email, password }, {
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/136.0.0.0 Safari/537.36'
+    },
+    timeout: 10000
+  }))
+
+  if (!response.data?.access_token) {
+    throw new Error(response.data?.message || '登录失败')
+  }
+  return response.data.access_token
+}
+
+// 验证 PromptLayer access_token 有效性并获取用户信息
+async function validatePromptLayerToken(access_token) {
+  try {
+    const response = await metrics.timeUpstream('get_user', () => axios.get(upstream.apiUrl('/get-user'), {
+      headers: {
+        'Authorization': `Bearer ${access_token}`,
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/136.0.0.0 Safari/537.36'
+      },
+      timeout: 10000
+    }))
+    
+    // 根据实际返回格式检查：直接返回用户对象，包含 id、email 等字段
+    if (response.data && response.data.id && response.data.email) {
+      return response.data  // 直接返回用户信息对象
+    }
+    return null
+  } catch (error) {
+    logger.error('验证PromptLayer access_token失败:', error.message)
+    throw error
+  }
+}
+
+// 申请 Ably WebSocket 临时令牌
+async function requestWsToken(access_token) {
+  const wsTokenResponse = await metrics.timeUpstream('ws_token_request', () => axios.post(upstream.apiUrl('/ws-token-request'), null, {
+    headers: {
+      'Authorization': `Bearer ${access_token}`,
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/136.0.0.0 Safari/537.36'
+    },
+    timeout: 10000
+  }))
+
+  if (!wsTokenResponse.data.success) {
+    throw new Error('获取WebSocket令牌失败')
+  }
+
+  const { token: ws_token, clientId, expires } = wsTokenResponse.data.token_details
+  return {
+    ws_token,
+    clientId,
+    // Ably TokenDetails.expires 为毫秒时间戳，缺失时返回 null 由调用方兜底
+    ws_expires: typeof expires === 'number' ? expires : null
+  }
+}
+
+// 获取用户的账户信息（workspaceId、clientId等）
+async function getAccountInfo(access_token) {
+  try {
+    // 获取 WebSocket 访问令牌和 clientId
+    const { ws_token, clientId, ws_expires } = await requestWsToken(access_token)
+
+    // 获取工作空间ID
+    const workspacesResponse = await metrics.timeUpstream('workspaces', () => axios.get(upstream.apiUrl('/workspaces'), {
+      headers: {
+        'Authorization': `Bearer ${access_token}`,
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/136.0.0.0 Safari/537.36'
+      },
+      timeout: 10000
+    }))
+
+    if (!workspacesResponse.data.success || workspacesResponse.data.workspaces.length === 0) {
+      throw new Error('获取工作空间失败')
+    }
+
+    const workspaceId = workspacesResponse.data.workspaces[0].id
+
+    return {
+      ws_token,
+      ws_expires,
+      clientId,
+      workspaceId
+    }
+  } catch (error) {
+    logger.error('获取账户信息失败:', error.message)
+    throw error
+  }
+}
+
+// 构建 prompt blueprint，同一请求的会话创建与运行组共用一份
+function buildPromptBlueprint(req) {
+  if (req.promptBlueprint) {
+    return req.promptBlueprint
+  }
+
+  const model_data = req.model || modelRegistry.resolve(req.body.model)
+  if (!model_data) {
+    throw modelRegistry.modelNotFoundError(req.body.model)
+  }
+  // 深拷贝，避免请求参数写回全局模型表
+  const model = modelRegistry.toUpstreamModel(model_data)
+  const body = req.body
+  model.parameters = req.parameters || translateParameters(body, model_data)
+
+  req.promptBlueprint = {
+    "inference_client_name": null,
+    "metadata": {
+      "model": model
+    },
+    "prompt_template": {
+      "type": "chat",
+      "messages": body.messages,
+      "tools": body.tools || null,
+      "tool_choice": body.tool_choice || null,
+      "input_variables": [],
+      "functions": [],
+      "function_call": null
+    },
+    "provider_base_url_name": null
+  }
+  applyStructuredOutput(req.promptBlueprint, req.structuredOutput)
+  return req.promptBlueprint
+}
+
+// 获取聊天ID，同一对话复用已有会话
+async function getChatID(req) {
+  const maxRetries = 3
+
+  req.sessionKey = sessions.resolveKey(req)
+  const sessionId = sessions.get(req.sessionKey)
+  if (sessionId) {
+    logger.info(`用户 ${req.account.username} 复用会话ID: ${sessionId}`)
+    req.chatID = sessionId
+    return sessionId
+  }
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      const url = upstream.workspaceUrl(req.account.workspaceId, '/playground_sessions')
+      const headers = { Authorization: "Bearer " + req.account.access_token }
+      const prompt_blueprint = buildPromptBlueprint(req)
+
+      let data = {
+        "id": uuidv4(),
+        "name": sessions.buildName(req),
+        "prompt_blueprint": prompt_blueprint,
+        "input_variables": []
+      }
+
+      logger.debug(`用户 ${req.account.username} 模型参数 =>`, prompt_blueprint.metadata.model)
+
+      const response = await metrics.timeUpstream('playground_sessions', () => axios.put(url, data, {
+        headers,
+        timeout: 30000
+      }))
+
+      if (response.data.success) {
+        logger.info(`用户 ${req.account.username} 生成会话ID成功: ${response.data.playground_session.id}`)
+        req.chatID = response.data.playground_session.id
+        sessions.set(req.sessionKey, req.chatID, req.account)
+        return response.data.playground_session.id
+      } else {
+        throw new Error(response.data.message || '获取会话ID失败')
+      }
+    } catch (error) {
+      logger.warn(`获取会话ID失败 (尝试 ${attempt}/${maxRetries}):`, error.message)
+
+      if (attempt === maxRetries) {
+        throw error
+      }
+
+      metrics.recordRetry('playground_sessions')
+      await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000))
+    }
+  }
+}
+
+// 发送请求，返回运行ID数组（顺序与 choices 的 index 一致）
+async function sentRequest(req) {
+  const maxRetries = 3
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      const url = upstream.workspaceUrl(req.account.workspaceId, '/run_groups')
+      const headers = { Authorization: "Bearer " + req.account.access_token }
+
+      // n > 1 时在同一运行组中提交多次运行
+      const runCount = req.choiceCount || 1
+      let data = {
+        "id": uuidv4(),
+        "playground_session_id": req.chatID,
+        "shared_prompt_blueprint": buildPromptBlueprint(req),
+        "individual_run_requests": Array.from({ length: runCount }, (_, index) => ({
+          "input_variables": {},
+          "run_group_position": index + 1
+        }))
+      }
+
+      const response = await metrics.timeUpstream('run_groups', () => axios.post(url, data, {
+        headers,
+        timeout: 30000
+      }))
+
+      if (response.data.success) {
+        // 按 run_group_position 排序，返回各次运行的ID
+        return [...response.data.run_group.individual_run_requests]
+          .sort((a, b) => (a.run_group_position || 0) - (b.run_group_position || 0))
+          .map(run => run.id)
+      } else {
+        throw new Error(response.data.message || '发送请求失败')
+      }
+    } catch (error) {
+      logger.warn(`发送请求失败 (尝试 ${attempt}/${maxRetries}):`, error.message)
+
+      if (attempt === maxRetries) {
+        // 复用的会话可能已在上游失效，下次请求重新创建
+        sessions.invalidate(req.sessionKey)
+        throw error
+      }
+
+      metrics.recordRetry('run_groups')
+      await new Promise(resolve => setTimeout(resolve, Math.pow(2, attempt) * 1000))
+    }
+  }
+}
+
+// 请求上游停止运行（尽力而为，失败只记录日志）
+async function cancelRun(account, runId) {
+  try {
+    const url = upstream.workspaceUrl(account.workspaceId, `/individual_run_requests/${runId}/cancel`)
+    await metrics.timeUpstream('cancel_run', () => axios.post(url, null, {
+      headers: { Authorization: "Bearer " + account.access_token },
+      timeout: 10000
+    }))
+    logger.info(`用户 ${account.username} 已请求取消运行: ${runId}`)
+  } catch (error) {
+    logger.warn(`用户 ${account.username} 取消运行失败: ${runId}`, error.response?.status || error.message)
+  }
+}
+
+// 从上游消息中提取工具调用，统一为 OpenAI 格式
+function extractToolCalls(message) {
+  const toolCalls = []
+
+  if (Array.isArray(message?.tool_calls)) {
+    for (const call of message.tool_calls) {
+      if (!call) continue
+      const args = call.function?.arguments
+      toolCalls.push({
+        id: call.id || `call_${uuidv4().replace(/-/g, '').slice(0, 24)}`,
+        name: call.function?.name || call.name || '',
+        arguments: typeof args === 'string' ? args : (args ? JSON.stringify(args) : '')
+      })
+    }
+  }
+
+  // Anthropic 风格的 tool_use 内容块
+  if (Array.isArray(message?.content)) {
+    for (const item of message.content) {
+      if (item?.type !== 'tool_use') continue
+      const input = item.input
+      toolCalls.push({
+        id: item.id || `call_${uuidv4().replace(/-/g, '').slice(0, 24)}`,
+        name: item.name || '',
+        arguments: typeof input === 'string' ? input : (input && Object.keys(input).length ? JSON.stringify(input) : '')
+      })
+    }
+  }
+
+  return toolCalls
+}
+
+module.exports = {
+  login,
+  validatePromptLayerToken,
+  requestWsToken,
+  getAccountInfo,
+  buildPromptBlueprint,
+  getChatID,
+  sentRequest,
+  cancelRun,
+  extractToolCalls
+}
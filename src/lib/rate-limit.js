@@ -0,0 +1,302 @@
+// src/lib/rate-limit.js
+// 限流：按 API Key 与全局限制每分钟请求数、并发请求数与每分钟 token 数，超出并发上限的请求进入有界 FIFO 队列
+const logger = require('./logger')
+
+function readLimit(name) {
+  const value = parseInt(process.env[name], 10)
+  return value > 0 ? value : 0
+}
+
+// 0 表示不限制
+const LIMITS = {
+  key: {
+    rpm: readLimit('RATE_LIMIT_RPM'),
+    concurrency: readLimit('RATE_LIMIT_CONCURRENCY'),
+    tpm: readLimit('RATE_LIMIT_TPM')
+  },
+  global: {
+    rpm: readLimit('GLOBAL_RATE_LIMIT_RPM'),
+    concurrency: readLimit('GLOBAL_RATE_LIMIT_CONCURRENCY'),
+    tpm: readLimit('GLOBAL_RATE_LIMIT_TPM')
+  }
+}
+// 等待并发名额的队列长度与最长等待时间
+const QUEUE_SIZE = parseInt(process.env.RATE_LIMIT_QUEUE_SIZE, 10) >= 0 ? parseInt(process.env.RATE_LIMIT_QUEUE_SIZE, 10) : 100
+const QUEUE_TIMEOUT_MS = parseInt(process.env.RATE_LIMIT_QUEUE_TIMEOUT_MS, 10) || 30000
+
+const WINDOW_MS = 60000
+const SWEEP_INTERVAL_MS = 60000
+
+// keyId -> bucket；bucket 记录最近一分钟的请求时间、token 用量与进行中请求数
+const buckets = new Map()
+const globalBucket = createBucket()
+// 等待并发名额的请求，按到达顺序排列
+const queue = []
+
+function createBucket() {
+  return { requests: [], tokens: [], inFlight: 0 }
+}
+
+function isEnabled() {
+  return Object.values(LIMITS).some(limits => limits.rpm || limits.concurrency || limits.tpm)
+}
+
+function getBucket(keyId) {
+  let bucket = buckets.get(keyId)
+  if (!bucket) {
+    bucket = createBucket()
+    buckets.set(keyId, bucket)
+  }
+  return bucket
+}
+
+// 移除滑动窗口之外的记录
+function prune(bucket, now) {
+  while (bucket.requests.length && bucket.requests[0] <= now - WINDOW_MS) bucket.requests.shift()
+  while (bucket.tokens.length && bucket.tokens[0][0] <= now - WINDOW_MS) bucket.tokens.shift()
+}
+
+function usedTokens(bucket) {
+  return bucket.tokens.reduce((sum, [, count]) => sum + count, 0)
+}
+
+/**
+ * 计算剩余额度与重置时间
+ * 返回 { requests: { limit, remaining, resetMs }, tokens: { ... } }，未限制的项为 null
+ */
+function windowState(bucket, limits, now) {
+  prune(bucket, now)
+  const state = { requests: null, tokens: null }
+  if (limits.rpm) {
+    const remaining = Math.max(0, limits.rpm - bucket.requests.length)
+    state.requests = {
+      limit: limits.rpm,
+      remaining,
+      resetMs: bucket.requests.length ? bucket.requests[0] + WINDOW_MS - now : 0
+    }
+  }
+  if (limits.tpm) {
+    const used = usedTokens(bucket)
+    state.tokens = {
+      limit: limits.tpm,
+      remaining: Math.max(0, limits.tpm - used),
+      resetMs: bucket.tokens.length ? bucket.tokens[0][0] + WINDOW_MS - now : 0
+    }
+  }
+  return state
+}
+
+// 超出 RPM/TPM 时返回 { scope, kind, retryAfterMs }
+function findExceeded(scope, state) {
+  if (state.requests && state.requests.remaining === 0) {
+    return { scope, kind: 'requests', retryAfterMs: state.requests.resetMs }
+  }
+  if (state.tokens && state.tokens.remaining === 0) {
+    return { scope, kind: 'tokens', retryAfterMs: state.tokens.resetMs }
+  }
+  return null
+}
+
+// OpenAI 的重置时间格式，如 20ms、1s、6m0s
+function formatDuration(ms) {
+  if (ms < 1000) return `${Math.max(0, Math.ceil(ms))}ms`
+  const seconds = Math.ceil(ms / 1000)
+  if (seconds < 60) return `${seconds}s`
+  return `${Math.floor(seconds / 60)}m${seconds % 60}s`
+}
+
+// 写入 x-ratelimit-* 响应头：优先按 Key 的限制，未配置时使用全局限制
+function setHeaders(res, keyState, globalState) {
+  for (const kind of ['requests', 'tokens']) {
+    const state = keyState[kind] || globalState[kind]
+    if (!state) continue
+    res.setHeader(`x-ratelimit-limit-${kind}`, state.limit)
+    res.setHeader(`x-ratelimit-remaining-${kind}`, state.remaining)
+    res.setHeader(`x-ratelimit-reset-${kind}`, formatDuration(state.resetMs))
+  }
+}
+
+const SCOPE_NAMES = { key: '当前 API Key', global: '代理全局' }
+const KIND_NAMES = { requests: '每分钟请求数', tokens: '每分钟 token 数', concurrency: '并发请求数' }
+
+function rateLimitError(res, { scope, kind, retryAfterMs }) {
+  const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000))
+  res.setHeader('retry-after', retryAfter)
+  const error = new Error(`已超出${SCOPE_NAMES[scope]}的${KIND_NAMES[kind]}限制，请在 ${retryAfter} 秒后重试`)
+  error.status = 429
+  error.type = 'rate_limit_error'
+  error.code = 'rate_limit_exceeded'
+  return error
+}
+
+function hasCapacity(bucket) {
+  return (!LIMITS.key.concurrency || bucket.inFlight < LIMITS.key.concurrency)
+    && (!LIMITS.global.concurrency || globalBucket.inFlight < LIMITS.global.concurrency)
+}
+
+function occupy(bucket) {
+  bucket.inFlight++
+  globalBucket.inFlight++
+}
+
+// 释放并发名额后按到达顺序放行队列中已有名额的请求
+function release(bucket) {
+  bucket.inFlight--
+  globalBucket.inFlight--
+  for (let index = 0; index < queue.length;) {
+    const entry = queue[index]
+    if (!hasCapacity(entry.bucket)) {
+      index++
+      continue
+    }
+    queue.splice(index, 1)
+    occupy(entry.bucket)
+    entry.admit()
+  }
+}
+
+// 因并发被拒绝的请求不计入每分钟请求数
+function refund(bucket, at) {
+  for (const target of [bucket, globalBucket]) {
+    const index = target.requests.lastIndexOf(at)
+    if (index !== -1) target.requests.splice(index, 1)
+  }
+}
+
+// 超出并发上限的是当前 Key 还是全局
+function concurrencyScope(bucket) {
+  return LIMITS.key.concurrency && bucket.inFlight >= LIMITS.key.concurrency ? 'key' : 'global'
+}
+
+// 在队列中等待并发名额，返回 admitted、closed（客户端断开）或 timeout
+// 放行时名额已在 release 中占用，onAdmit 同步通知调用方
+function waitForSlot(res, bucket, onAdmit) {
+  return new Promise((resolve) => {
+    const entry = { bucket }
+    const leave = (result) => {
+      clearTimeout(timer)
+      res.off('close', handleClose)
+      const index = queue.indexOf(entry)
+      if (index !== -1) queue.splice(index, 1)
+      resolve(result)
+    }
+    const handleClose = () => leave('closed')
+    const timer = setTimeout(() => leave('timeout'), QUEUE_TIMEOUT_MS)
+    entry.admit = () => {
+      onAdmit()
+      leave('admitted')
+    }
+
+    res.on('close', handleClose)
+    queue.push(entry)
+  })
+}
+
+/**
+ * 限流中间件，放在认证之后，按认证通过的密钥（req.authKeyId）计数，避免随意更换密钥绕过限制
+ * 超出 RPM/TPM 时直接返回 429；超出并发上限时排队，队列已满或等待超时返回 429
+ */
+async function middleware(req, res, next) {
+  const keyId = isEnabled() ? req.authKeyId : null
+  if (!keyId) return next()
+
+  const bucket = getBucket(keyId)
+  const now = Date.now()
+  const exceeded = findExceeded('key', windowState(bucket, LIMITS.key, now))
+    || findExceeded('global', windowState(globalBucket, LIMITS.global, now))
+  if (!exceeded) {
+    bucket.requests.push(now)
+    globalBucket.requests.push(now)
+  }
+  setHeaders(res, windowState(bucket, LIMITS.key, now), windowState(globalBucket, LIMITS.global, now))
+  if (exceeded) {
+    logger.warn(`请求被限流: ${exceeded.scope} ${exceeded.kind}`)
+    return next(rateLimitError(res, exceeded))
+  }
+
+  // 响应结束时归还并发名额（排队期间断开或超时的请求没有占用名额）
+  let occupied = false
+  res.on('close', () => {
+    if (!occupied) return
+    occupied = false
+    release(bucket)
+  })
+
+  if (!hasCapacity(bucket)) {
+    if (queue.length >= QUEUE_SIZE) {
+      logger.warn(`请求被限流: 并发已满且等待队列已满 (${queue.length})`)
+      refund(bucket, now)
+      return next(rateLimitError(res, { scope: concurrencyScope(bucket), kind: 'concurrency', retryAfterMs: 1000 }))
+    }
+
+    logger.info(`并发已满，请求进入等待队列 (${queue.length + 1}/${QUEUE_SIZE})`)
+    const result = await waitForSlot(res, bucket, () => { occupied = true })
+    if (result === 'closed') return
+    if (result === 'timeout') {
+      logger.warn(`请求排队超时 (${QUEUE_TIMEOUT_MS}ms)`)
+      refund(bucket, now)
+      return next(rateLimitError(res, { scope: concurrencyScope(bucket), kind: 'concurrency', retryAfterMs: 1000 }))
+    }
+  } else {
+    occupy(bucket)
+    occupied = true
+  }
+
+  req.rateLimitBucket = bucket
+  next()
+}
+
+// 请求完成后计入 token 用量
+function recordUsage(req, usage) {
+  if (!req.rateLimitBucket || !usage?.total_tokens) return
+  const entry = [Date.now(), usage.total_tokens]
+  req.rateLimitBucket.tokens.push(entry)
+  globalBucket.tokens.push(entry)
+}
+
+function describeUsage(bucket, limits, now) {
+  const state = windowState(bucket, limits, now)
+  return {
+    requests_last_minute: bucket.requests.length,
+    tokens_last_minute: usedTokens(bucket),
+    in_flight: bucket.inFlight,
+    remaining_requests: state.requests ? state.requests.remaining : null,
+    remaining_tokens: state.tokens ? state.tokens.remaining : null
+  }
+}
+
+// 当前限制与用量；传入已认证的请求时附带该请求所用 Key 的用量
+function getStatus(req) {
+  const now = Date.now()
+  const keyId = req?.authKeyId || null
+  const bucket = keyId && buckets.get(keyId)
+  return {
+    enabled: isEnabled(),
+    limits: {
+      key: { ...LIMITS.key },
+      global: { ...LIMITS.global },
+      queue: { size: QUEUE_SIZE, timeout_ms: QUEUE_TIMEOUT_MS }
+    },
+    usage: {
+      key: keyId ? describeUsage(bucket || createBucket(), LIMITS.key, now) : null,
+      global: { ...describeUsage(globalBucket, LIMITS.global, now), queued: queue.length }
+    }
+  }
+}
+
+// 定期清理空闲 Key 的记录
+setInterval(() => {
+  const now = Date.now()
+  for (const [keyId, bucket] of buckets) {
+    prune(bucket, now)
+    if (bucket.inFlight === 0 && bucket.requests.length === 0 && bucket.tokens.length === 0) {
+      buckets.delete(keyId)
+    }
+  }
+}, SWEEP_INTERVAL_MS).unref()
+
+module.exports = {
+  middleware,
+  recordUsage,
+  getStatus
+}
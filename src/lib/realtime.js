@@ -0,0 +1,393 @@
+// src/lib/realtime.js
+// Ably WebSocket 连接管理：每个 clientId 维持一条长连接，按 individual_run_request_id 分发消息
+const WebSocket = require('ws')
+const { requestWsToken } = require('./promptlayer')
+const upstream = require('./upstream')
+const logger = require('./logger')
+
+// 连接建立超时
+const CONNECT_TIMEOUT_MS = 10000
+// 心跳检查间隔与超时（Ably 在 heartbeats=true 时约 15 秒发送一次心跳）
+const HEARTBEAT_INTERVAL_MS = 15000
+const HEARTBEAT_TIMEOUT_MS = 45000
+// 没有进行中的请求后保持连接的时间
+const IDLE_TIMEOUT_MS = parseInt(process.env.WS_IDLE_TIMEOUT_MS, 10) || 5 * 60 * 1000
+// 断线重连次数
+const MAX_RECONNECT_ATTEMPTS = 5
+// 尚未订阅的运行消息缓存时间（run_groups 返回前消息可能已经到达）
+const PENDING_MESSAGE_TTL_MS = 60000
+const MAX_PENDING_MESSAGES = 500
+
+// Ably 协议动作
+const ACTION_HEARTBEAT = 0
+const ACTION_CONNECTED = 4
+const ACTION_DISCONNECTED = 6
+const ACTION_ERROR = 9
+const ACTION_ATTACH = 10
+
+// clientId -> connection
+const connections = new Map()
+
+function buildUrl(connection) {
+  const { ws_token } = connection.account
+  let url = `${upstream.REALTIME_URL}/?access_token=${encodeURIComponent(ws_token)}&clientId=${connection.clientId}&format=json&heartbeats=true&v=3&agent=ably-js%2F2.0.2%20browser`
+  // 断线后携带 connectionKey 尝试恢复，避免丢失期间的消息
+  if (connection.connectionKey) {
+    url += `&resume=${encodeURIComponent(connection.connectionKey)}`
+  }
+  return url
+}
+
+// 建立（或重建）底层 WebSocket
+function open(connection) {
+  const ws = new WebSocket(buildUrl(connection))
+  connection.ws = ws
+  connection.lastActivity = Date.now()
+
+  logger.info(`用户 ${connection.account.username} 创建WebSocket连接: ${connection.clientId}`)
+
+  connection.ready = new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      reject(new Error('WebSocket连接超时'))
+      ws.terminate()
+    }, CONNECT_TIMEOUT_MS)
+
+    ws.on('open', () => {
+      clearTimeout(timer)
+      logger.info(`用户 ${connection.account.username} WebSocket连接已建立: ${connection.clientId}`)
+      ws.send(JSON.stringify({
+        action: ACTION_ATTACH,
+        channel: `user:${connection.clientId}`,
+        params: { agent: 'react-hooks/2.0.2' }
+      }))
+      connection.reconnectAttempts = 0
+      resolve(connection)
+    })
+
+    ws.on('error', (error) => {
+      clearTimeout(timer)
+      logger.error(`用户 ${connection.account.username} WebSocket连接错误 ${connection.clientId}:`, error.message)
+      reject(error)
+    })
+  })
+  // 重连时可能没有调用方等待，避免未处理的 rejection
+  connection.ready.catch(() => {})
+
+  ws.on('message', (data) => dispatch(connection, data))
+  ws.on('pong', () => { connection.lastActivity = Date.now() })
+  ws.on('close', () => handleClose(connection, ws))
+}
+
+// 解析并分发消息
+function dispatch(connection, data) {
+  connection.lastActivity = Date.now()
+
+  let parsedData
+  try {
+    parsedData = JSON.parse(data.toString())
+  } catch (parseError) {
+    return
+  }
+
+  if (parsedData.action === ACTION_HEARTBEAT) {
+    return
+  }
+  if (parsedData.action === ACTION_CONNECTED) {
+    connection.connectionKey = parsedData.connectionDetails?.connectionKey || parsedData.connectionKey || connection.connectionKey
+    return
+  }
+  if ((parsedData.action === ACTION_ERROR || parsedData.action === ACTION_DISCONNECTED) && !parsedData.channel) {
+    // 连接级错误（如令牌过期）：断开后按重连流程处理
+    logger.error(`用户 ${connection.account.username} WebSocket收到断开/错误消息:`, parsedData.error?.message || parsedData.action)
+    connection.connectionKey = null
+    connection.ws.terminate()
+    return
+  }
+
+  for (const message of parsedData.messages || []) {
+    if (!message?.data) continue
+
+    let ContentData
+    try {
+      ContentData = JSON.parse(message.data)
+    } catch (parseError) {
+      continue
+    }
+
+    const runId = ContentData?.individual_run_request_id
+    if (!runId) continue
+
+    const subscriber = connection.subscribers.get(String(runId))
+    if (subscriber) {
+      subscriber.onMessage(message.name, ContentData)
+    } else {
+      bufferMessage(connection, String(runId), message.name, ContentData)
+    }
+  }
+}
+
+// 缓存尚未订阅的运行消息
+// 超出上限时淘汰最早的缓存，保证最新的消息（尤其是运行完成事件）不会丢失
+function bufferMessage(connection, runId, name, data) {
+  const now = Date.now()
+  for (const [id, entry] of connection.pending) {
+    if (entry.createdAt + PENDING_MESSAGE_TTL_MS < now) {
+      connection.pending.delete(id)
+      connection.pendingCount -= entry.messages.length
+    }
+  }
+
+  let entry = connection.pending.get(runId)
+  if (!entry) {
+    entry = { createdAt: now, messages: [], error: null }
+    connection.pending.set(runId, entry)
+  }
+  // 已经丢失过消息的运行无法还原，后续消息不再缓存
+  if (entry.error) return
+  entry.messages.push({ name, data })
+  connection.pendingCount++
+
+  while (connection.pendingCount > MAX_PENDING_MESSAGES) {
+    // Map 按插入顺序遍历，第一个即最早的运行
+    const [oldestId, oldest] = connection.pending.entries().next().value
+    if (oldestId !== runId) {
+      connection.pending.delete(oldestId)
+      connection.pendingCount -= oldest.messages.length
+      logger.warn(`用户 ${connection.account.username} 未订阅消息缓存已满 (${MAX_PENDING_MESSAGES})，丢弃运行 ${oldestId} 的 ${oldest.messages.length} 条消息`)
+      continue
+    }
+    // 最早的就是当前运行：UPDATE_LAST_MESSAGE 每次推送累积后的完整消息，之后还有同类消息时丢弃最早的一条不影响结果
+    const updates = entry.messages.filter(message => message.name === 'UPDATE_LAST_MESSAGE')
+    if (updates.length > 1) {
+      const index = entry.messages.indexOf(updates[0])
+      entry.messages.splice(index, 1)
+      connection.pendingCount--
+      logger.warn(`用户 ${connection.account.username} 未订阅消息缓存已满 (${MAX_PENDING_MESSAGES})，丢弃运行 ${runId} 最早的一条 UPDATE_LAST_MESSAGE`)
+      continue
+    }
+    // 没有可替代的消息，丢弃任何一条都会导致结果不完整：清空缓存，订阅时直接报错
+    connection.pendingCount -= entry.messages.length
+    entry.messages = []
+    entry.error = createOverflowError(runId)
+    logger.warn(`用户 ${connection.account.username} 未订阅消息缓存已满 (${MAX_PENDING_MESSAGES})，运行 ${runId} 的消息无法完整保留`)
+  }
+}
+
+function createOverflowError(runId) {
+  const error = new Error(`运行 ${runId} 的消息超出缓存上限 (${MAX_PENDING_MESSAGES})，结果不完整`)
+  error.status = 502
+  error.type = 'upstream_error'
+  error.code = 'realtime_buffer_overflow'
+  return error
+}
+
+// 连接断开：有进行中的请求时重连，否则直接移除
+async function handleClose(connection, ws) {
+  // 重连循环中的失败连接由循环自行处理
+  if (connection.ws !== ws || connection.reconnecting) return
+  logger.info(`用户 ${connection.account.username} WebSocket连接已关闭: ${connection.clientId}`)
+
+  if (connection.closing || connection.subscribers.size === 0) {
+    return remove(connection)
+  }
+
+  connection.reconnecting = true
+  while (connection.reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
+    connection.reconnectAttempts++
+    const delay = Math.min(Math.pow(2, connection.reconnectAttempts - 1) * 1000, 10000)
+    logger.info(`用户 ${connection.account.username} WebSocket重连 (尝试 ${connection.reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS})`)
+    await new Promise(resolve => setTimeout(resolve, delay))
+    if (connection.closing) return
+
+    try {
+      // 重连前刷新令牌，旧令牌可能正是断开原因
+      const { ws_token, clientId } = await requestWsToken(connection.account.access_token)
+      if (clientId === connection.clientId) {
+        connection.account.ws_token = ws_token
+      }
+      open(connection)
+      await connection.ready
+      connection.reconnecting = false
+      return
+    } catch (error) {
+      logger.error(`用户 ${connection.account.username} WebSocket重连失败:`, error.message)
+    }
+  }
+  connection.reconnecting = false
+
+  // 重连失败：通知所有进行中的请求
+  const error = new Error('WebSocket连接已断开且重连失败')
+  for (const subscriber of connection.subscribers.values()) {
+    subscriber.onError(error)
+  }
+  connection.subscribers.clear()
+  remove(connection)
+}
+
+function remove(connection) {
+  connection.closing = true
+  clearInterval(connection.heartbeatTimer)
+  clearTimeout(connection.idleTimer)
+  if (connections.get(connection.clientId) === connection) {
+    connections.delete(connection.clientId)
+  }
+  if (connection.ws && connection.ws.readyState === WebSocket.OPEN) {
+    connection.ws.close()
+  }
+}
+
+// 心跳监控：长时间没有任何消息视为连接失效
+function startHeartbeat(connection) {
+  connection.heartbeatTimer = setInterval(() => {
+    const ws = connection.ws
+    if (!ws || ws.readyState !== WebSocket.OPEN) return
+
+    if (Date.now() - connection.lastActivity > HEARTBEAT_TIMEOUT_MS) {
+      logger.warn(`用户 ${connection.account.username} WebSocket心跳超时，准备重连`)
+      ws.terminate()
+      return
+    }
+    ws.ping()
+  }, HEARTBEAT_INTERVAL_MS)
+  connection.heartbeatTimer.unref()
+}
+
+function scheduleIdleClose(connection) {
+  clearTimeout(connection.idleTimer)
+  if (connection.subscribers.size > 0) return
+  connection.idleTimer = setTimeout(() => {
+    if (connection.subscribers.size === 0) {
+      logger.info(`用户 ${connection.account.username} WebSocket空闲关闭: ${connection.clientId}`)
+      remove(connection)
+    }
+  }, IDLE_TIMEOUT_MS)
+  connection.idleTimer.unref()
+}
+
+/**
+ * 获取账户对应的长连接，不存在时新建
+ * 每次调用都会用最新的账户信息（ws_token）覆盖，供重连使用
+ */
+async function connect(account) {
+  let connection = connections.get(account.clientId)
+
+  if (!connection) {
+    connection = {
+      clientId: account.clientId,
+      account: { ...account },
+      ws: null,
+      ready: null,
+      connectionKey: null,
+      subscribers: new Map(),
+      pending: new Map(),
+      pendingCount: 0,
+      lastActivity: Date.now(),
+      heartbeatTimer: null,
+      idleTimer: null,
+      reconnectAttempts: 0,
+      reconnecting: false,
+      closing: false
+    }
+    connections.set(account.clientId, connection)
+    // 连接由多个请求共享，其事件不归属于发起连接的请求
+    logger.detached(() => {
+      open(connection)
+      startHeartbeat(connection)
+    })
+  } else {
+    connection.account = { ...account }
+  }
+
+  clearTimeout(connection.idleTimer)
+
+  try {
+    await connection.ready
+  } catch (error) {
+    // 仍有进行中的请求时保留连接，交给重连流程
+    if (connection.subscribers.size === 0 && !connection.reconnecting) {
+      remove(connection)
+    }
+    throw error
+  }
+  return connection
+}
+
+/**
+ * 订阅某次运行的消息，返回取消订阅函数
+ * handler: { onMessage(name, data), onError(error) }
+ */
+function subscribe(connection, runId, handler) {
+  const key = String(runId)
+  connection.subscribers.set(key, handler)
+
+  // 补发订阅前已到达的消息
+  const pending = connection.pending.get(key)
+  if (pending) {
+    connection.pending.delete(key)
+    connection.pendingCount -= pending.messages.length
+    if (pending.error) {
+      handler.onError(pending.error)
+    }
+    for (const message of pending.messages) {
+      handler.onMessage(message.name, message.data)
+    }
+  }
+
+  return () => {
+    if (connection.subscribers.get(key) === handler) {
+      connection.subscribers.delete(key)
+    }
+    scheduleIdleClose(connection)
+  }
+}
+
+/**
+ * 探测能否用给定令牌建立 Ably 连接：收到 CONNECTED 即成功，随后立即关闭
+ * 使用独立的临时连接，不影响共享的长连接
+ */
+function probe(account, timeoutMs = CONNECT_TIMEOUT_MS) {
+  return new Promise((resolve, reject) => {
+    const ws = new WebSocket(buildUrl({ account, clientId: account.clientId }))
+    const done = (error) => {
+      clearTimeout(timer)
+      ws.removeAllListeners()
+      ws.on('error', () => {})
+      ws.terminate()
+      error ? reject(error) : resolve()
+    }
+    const timer = setTimeout(() => done(new Error('WebSocket连接超时')), timeoutMs)
+
+    ws.on('message', (data) => {
+      let parsedData
+      try {
+        parsedData = JSON.parse(data.toString())
+      } catch (parseError) {
+        return
+      }
+      if (parsedData.action === ACTION_CONNECTED) {
+        done()
+      } else if (parsedData.action === ACTION_ERROR || parsedData.action === ACTION_DISCONNECTED) {
+        done(new Error(parsedData.error?.message || 'WebSocket连接被拒绝'))
+      }
+    })
+    ws.on('error', done)
+    ws.on('close', () => done(new Error('WebSocket连接已关闭')))
+  })
+}
+
+function getStats() {
+  let open = 0
+  let subscribers = 0
+  for (const connection of connections.values()) {
+    if (connection.ws && connection.ws.readyState === WebSocket.OPEN) open++
+    subscribers += connection.subscribers.size
+  }
+  return { connections: connections.size, open, subscribers }
+}
+
+module.exports = {
+  connect,
+  subscribe,
+  probe,
+  getStats
+}
@@ -0,0 +1,97 @@
+// src/lib/run-status.js
+// 运行结果：从完成事件或运行详情中读取失败原因与停止原因，统一为 OpenAI 的 finish_reason
+
+// 表示运行失败的状态
+const FAILED_STATUSES = ['failure', 'failed', 'error', 'errored', 'cancelled', 'canceled']
+
+// 各家模型的停止原因 -> finish_reason，未列出的按正常结束处理
+const FINISH_REASONS = {
+  // Anthropic
+  max_tokens: 'length',
+  model_context_window_exceeded: 'length',
+  refusal: 'content_filter',
+  tool_use: 'tool_calls',
+  // OpenAI
+  length: 'length',
+  content_filter: 'content_filter',
+  tool_calls: 'tool_calls',
+  function_call: 'tool_calls',
+  // Gemini
+  safety: 'content_filter',
+  recitation: 'content_filter',
+  prohibited_content: 'content_filter',
+  blocklist: 'content_filter',
+  spii: 'content_filter'
+}
+
+// 上游可能把运行信息放在不同层级，按顺序依次查找
+function sourcesOf(payload) {
+  if (!payload || typeof payload !== 'object') return []
+  const run = payload.individual_run_request
+  const log = payload.request_log
+  return [
+    payload,
+    payload.message,
+    run,
+    log,
+    log?.response,
+    log?.raw_response,
+    run?.response
+  ].filter(source => source && typeof source === 'object' && !Array.isArray(source))
+}
+
+function readStatusCode(source) {
+  const error = source.error && typeof source.error === 'object' ? source.error : {}
+  const code = parseInt(source.status_code ?? source.http_status ?? error.status_code ?? error.status, 10)
+  return code >= 400 && code < 600 ? code : null
+}
+
+/**
+ * 读取运行失败信息，返回 { message, status }，运行未失败时返回 null
+ * status 为上游模型服务返回的 HTTP 状态码，未知时为 null
+ */
+function readRunFailure(payload) {
+  for (const source of sourcesOf(payload)) {
+    const status = typeof source.status === 'string' ? source.status.toLowerCase() : ''
+    const error = source.error
+    const message = source.error_message
+      || (typeof error === 'string' ? error : error?.message)
+      || null
+
+    if (FAILED_STATUSES.includes(status) || message) {
+      return {
+        message: message || `上游运行失败 (${source.status})`,
+        status: readStatusCode(source)
+      }
+    }
+  }
+  return null
+}
+
+// 读取上游的原始停止原因（stop_reason / finish_reason），没有时返回 null
+function readStopReason(payload) {
+  for (const source of sourcesOf(payload)) {
+    const reason = source.stop_reason
+      || source.finish_reason
+      || source.choices?.[0]?.finish_reason
+      || source.candidates?.[0]?.finishReason
+    if (typeof reason === 'string' && reason) return reason
+  }
+  return null
+}
+
+/**
+ * 转换为 finish_reason：stop / length / tool_calls / content_filter
+ * 截断与内容过滤优先于工具调用，其余情况有工具调用即为 tool_calls
+ */
+function toFinishReason(stopReason, hasToolCalls) {
+  const mapped = FINISH_REASONS[String(stopReason || '').toLowerCase()]
+  if (mapped === 'length' || mapped === 'content_filter') return mapped
+  return hasToolCalls ? 'tool_calls' : 'stop'
+}
+
+module.exports = {
+  readRunFailure,
+  readStopReason,
+  toFinishReason
+}
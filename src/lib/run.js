@@ -0,0 +1,349 @@
+// src/lib/run.js
+// 执行一次 PromptLayer 运行，把 WebSocket 推送转换为增量事件，供各个路由按自己的协议输出
+const { getChatID, sentRequest, cancelRun, extractToolCalls } = require('./promptlayer')
+const realtime = require('./realtime')
+const { resolveUsage, mergeUsage, fetchRunDetails } = require('./usage')
+const { readRunFailure, readStopReason, toFinishReason } = require('./run-status')
+const accounts = require('./accounts')
+const credentials = require('./credentials')
+const { validateOutput, buildRepairBlueprint } = require('./structured')
+const metrics = require('./metrics')
+const rateLimit = require('./rate-limit')
+const logger = require('./logger')
+
+// 请求超时时间：10分钟
+const RUN_TIMEOUT = 600000
+
+// 创建带状态码的错误，便于路由统一输出
+function createRunError(message, status, type, code) {
+  const error = new Error(message)
+  error.status = status
+  error.type = type
+  error.code = code
+  return error
+}
+
+/**
+ * 上游运行失败时的错误，沿用上游的错误信息
+ * 请求内容被拒返回 400，限流返回 429，过载返回 503，其余视为网关错误 502
+ */
+function createUpstreamRunError(failure) {
+  const { message, status } = failure
+  if (status === 400 || status === 413 || status === 422) {
+    return createRunError(message, 400, 'invalid_request_error', 'upstream_run_failed')
+  }
+  if (status === 429) {
+    return createRunError(message, 429, 'rate_limit_error', 'upstream_run_failed')
+  }
+  if (status === 503 || status === 529) {
+    return createRunError(message, 503, 'upstream_error', 'upstream_run_failed')
+  }
+  return createRunError(message, 502, 'upstream_error', 'upstream_run_failed')
+}
+
+// 计算累积文本相对上一次的新增部分
+function diffText(current, previous) {
+  if (current.startsWith(previous)) {
+    return current.slice(previous.length)
+  }
+  return ""
+}
+
+/**
+ * 执行一次运行并通过回调输出事件
+ * n > 1 时运行组中包含多次运行，choice 为候选序号（从 0 开始）
+ * handlers:
+ *   onStart()                                  运行已提交
+ *   onThinking(delta, choice)                  思考内容增量
+ *   onText(delta, choice)                      正文增量
+ *   onToolCall({ index, id, name, delta, isNew, choice }) 工具调用增量
+ *   onComplete({ thinking, text, toolCalls, finishReason, usage, choices }) 全部运行完成，顶层字段为第一个候选
+ *                                              finishReason 为 stop / length / tool_calls / content_filter
+ *   onError(error, context)                    任一阶段出错，之后不会再有其他事件
+ */
+async function runCompletion(req, handlers) {
+  if (!req.structuredOutput) {
+    return executeRun(req, handlers)
+  }
+  return executeRun(req, withStructuredOutput(req, handlers))
+}
+
+/**
+ * 结构化输出：完成时校验每个候选的 JSON
+ * 非流式请求校验失败时自动修复重试一次，流式请求内容已经发出，只能返回错误
+ */
+function withStructuredOutput(req, handlers) {
+  const isStreamMode = req.body.stream === true
+  // 被拒绝的第一次运行的用量，修复重试完成后与重试的用量合并上报
+  let rejectedUsage = null
+  const wrapped = {
+    ...handlers,
+    onStart() {
+      // 修复重试时不再重复输出开始事件
+      if (!req.structuredRetry && handlers.onStart) handlers.onStart()
+    },
+    onComplete(completed) {
+      const result = rejectedUsage
+        ? { ...completed, usage: mergeUsage([rejectedUsage, completed.usage], { sharedPrompt: false }) }
+        : completed
+      const checks = result.choices.map(choice => validateOutput(choice.text, req.structuredOutput))
+      const invalidIndex = checks.findIndex(check => !check.valid)
+
+      if (invalidIndex === -1) {
+        if (isStreamMode) return handlers.onComplete(result)
+        const choices = result.choices.map((choice, index) => ({ ...choice, text: checks[index].text }))
+        return handlers.onComplete({ ...result, ...choices[0], choices })
+      }
+
+      const { error } = checks[invalidIndex]
+      if (!isStreamMode && !req.structuredRetry) {
+        logger.info(`用户 ${req.account.username} 结构化输出校验失败，修复重试: ${error}`)
+        req.structuredRetry = true
+        rejectedUsage = result.usage
+        metrics.recordRetry('structured_output')
+        req.promptBlueprint = buildRepairBlueprint(req.promptBlueprint, result.choices[invalidIndex].text, error)
+        return executeRun(req, wrapped)
+      }
+      handlers.onError(createRunError(error, 502, 'upstream_error', 'invalid_structured_output'), '结构化输出校验失败')
+    }
+  }
+  return wrapped
+}
+
+async function executeRun(req, handlers) {
+  const username = req.account.username
+  const res = req.res
+  let connection = null
+  let unsubscribes = []
+  let timeout = null
+  let finished = false
+  let aborted = false
+  let RequestIDs = []
+
+  // 每次运行的状态，按 choice 顺序排列
+  const runs = []
+
+  const unsubscribeAll = () => {
+    unsubscribes.forEach(unsubscribe => unsubscribe())
+    unsubscribes = []
+  }
+
+  // 请求上游停止尚未完成的运行
+  const cancelPending = () => {
+    RequestIDs
+      .filter(RequestID => !runs.some(run => run.id === RequestID && run.completed))
+      .forEach(RequestID => cancelRun(req.account, RequestID))
+  }
+
+  const finish = () => {
+    finished = true
+    clearTimeout(timeout)
+    unsubscribeAll()
+    res.off('close', handleClientClose)
+  }
+
+  // 客户端在响应结束前断开：立即释放订阅与定时器，并请求上游停止运行
+  const handleClientClose = logger.bind(() => {
+    if (finished || res.writableEnded) return
+    logger.info(`用户 ${username} 客户端已断开，取消请求: ${RequestIDs.join(', ') || '运行尚未创建'}`)
+    aborted = true
+    finish()
+    cancelPending()
+  })
+  res.on('close', handleClientClose)
+
+  const fail = (error, context) => {
+    if (finished) return
+    finish()
+    accounts.reportError(req.account, error)
+    credentials.reportError(req.account, error)
+    handlers.onError(error, context)
+  }
+
+  // 获取账户的长连接（需在提交运行前建立，避免漏掉早到的消息）
+  try {
+    connection = await realtime.connect(req.account)
+  } catch (error) {
+    logger.error(`用户 ${username} 创建WebSocket连接失败:`, error)
+    return fail(error, '创建WebSocket连接失败')
+  }
+
+  // 生成会话ID
+  if (aborted) return
+  try {
+    await getChatID(req)
+  } catch (error) {
+    return fail(error, '获取会话ID失败')
+  }
+
+  // 发送请求
+  if (aborted) return
+  try {
+    RequestIDs = await sentRequest(req)
+    logger.info(`用户 ${username} 发送请求成功，RequestID: ${RequestIDs.join(', ')}`)
+  } catch (error) {
+    return fail(error, '发送请求失败')
+  }
+
+  // 运行创建期间客户端已断开
+  if (aborted) {
+    return cancelPending()
+  }
+
+  handlers.onStart && handlers.onStart()
+
+  const handleUpdate = (run, message) => {
+    const { state, choice } = run
+    state.stopReason = message?.stop_reason || message?.finish_reason || state.stopReason
+    const MessageArray = message?.content || []
+    const thinking = MessageArray.filter(item => item.type === "thinking").map(item => item.thinking || "").join("")
+    let text = MessageArray.filter(item => item.type === "text").map(item => item.text || "").join("")
+    let toolCalls = extractToolCalls(message)
+
+    // 通过强制工具调用实现的结构化输出：工具参数即正文
+    if (req.structuredOutput?.mode === 'tool') {
+      text = toolCalls[0]?.arguments || ""
+      toolCalls = []
+    }
+
+    const thinkingDelta = diffText(thinking, state.thinking)
+    state.thinking = thinking
+    if (thinkingDelta) {
+      metrics.recordFirstToken(req)
+      handlers.onThinking(thinkingDelta, choice)
+    }
+
+    const textDelta = diffText(text, state.text)
+    state.text = text
+    if (textDelta) {
+      metrics.recordFirstToken(req)
+      handlers.onText(textDelta, choice)
+    }
+
+    // 工具调用增量：按位置比较上一次的参数，仅输出新增片段
+    toolCalls.forEach((call, index) => {
+      const previous = state.toolCalls[index]
+      if (!previous) {
+        metrics.recordFirstToken(req)
+        handlers.onToolCall({ index, id: call.id, name: call.name, delta: call.arguments, isNew: true, choice })
+      } else {
+        // 保持首次下发给客户端的 id 不变
+        call.id = previous.id
+        const delta = diffText(call.arguments, previous.arguments)
+        if (delta) {
+          handlers.onToolCall({ index, id: call.id, name: call.name, delta, isNew: false, choice })
+        }
+      }
+      state.toolCalls[index] = call
+    })
+  }
+
+  // 全部运行完成后汇总用量并输出
+  const completeAll = () => {
+    finish()
+    const results = runs.map(run => {
+      const { stopReason, ...state } = run.state
+      return { index: run.choice, ...state, finishReason: toFinishReason(stopReason, state.toolCalls.length > 0) }
+    })
+    Promise.all(runs.map((run, index) => resolveUsage(req, run.id, run.payload, results[index])))
+      .then(usages => {
+        const usage = mergeUsage(usages)
+        metrics.recordTokens(req, usage)
+        rateLimit.recordUsage(req, usage)
+        handlers.onComplete({ ...results[0], usage, choices: results })
+      }, error => handlers.onError(error, '统计用量失败'))
+  }
+
+  // 单次运行完成：检查失败与空响应，全部运行结束后汇总输出
+  const completeRun = async (run, payload) => {
+    const { state } = run
+    run.payload = payload
+    let failure = readRunFailure(payload)
+    state.stopReason = readStopReason(payload) || state.stopReason
+
+    // 没有任何输出且完成事件中没有结果信息时，查询运行详情确认原因
+    const isEmpty = state.thinking === "" && state.text === "" && state.toolCalls.length === 0
+    if (isEmpty && !failure && !state.stopReason) {
+      const details = await fetchRunDetails(req.account, run.id)
+      if (finished) return
+      if (details) {
+        run.payload = { ...payload, individual_run_request: details }
+        failure = readRunFailure(details)
+        state.stopReason = readStopReason(details)
+      }
+    }
+
+    if (failure) {
+      logger.warn(`用户 ${username} 上游运行失败: ${run.id}`, failure)
+      cancelPending()
+      return fail(createUpstreamRunError(failure), '上游运行失败')
+    }
+
+    // 因截断或内容过滤而没有输出属于正常结果，其余空响应视为错误
+    if (isEmpty && toFinishReason(state.stopReason, false) === 'stop') {
+      cancelPending()
+      return fail(createRunError('上游服务返回空响应', 502, 'upstream_error', 'empty_response'), '上游服务返回空响应')
+    }
+
+    run.settled = true
+    if (runs.every(item => item.settled)) {
+      completeAll()
+    }
+  }
+
+  // 消息处理函数
+  const messageHandler = (run, name, ContentData) => {
+    if (finished || run.completed) return
+    try {
+      if (name === "UPDATE_LAST_MESSAGE") {
+        handleUpdate(run, ContentData?.payload?.message)
+      }
+      else if (name === "INDIVIDUAL_RUN_COMPLETE") {
+        logger.info(`用户 ${username} 请求完成: ${run.id}`)
+        run.completed = true
+        completeRun(run, ContentData?.payload).catch(error => {
+          logger.error(`用户 ${username} 处理运行结果出错:`, error)
+          fail(error, '处理运行结果失败')
+        })
+      }
+    } catch (err) {
+      logger.error(`用户 ${username} 处理WebSocket消息出错:`, err)
+    }
+  }
+
+  // 错误处理函数
+  const errorHandler = (error) => {
+    logger.error(`用户 ${username} WebSocket连接错误:`, error)
+    fail(error, 'WebSocket连接失败')
+  }
+
+  // 按运行ID订阅消息（订阅时可能补发已到达的消息，需先登记全部运行）
+  // WebSocket 回调在连接的上下文中触发，绑定到本次请求以便日志带上请求ID
+  RequestIDs.forEach((id, choice) => {
+    runs.push({ id, choice, completed: false, settled: false, payload: null, state: { thinking: "", text: "", toolCalls: [], stopReason: null } })
+  })
+  for (const run of runs) {
+    if (finished) break
+    unsubscribes.push(realtime.subscribe(connection, run.id, {
+      onMessage: logger.bind((name, ContentData) => messageHandler(run, name, ContentData)),
+      onError: logger.bind(errorHandler)
+    }))
+  }
+
+  // 订阅时补发的消息可能已经完成了本次运行
+  if (finished) {
+    return unsubscribeAll()
+  }
+
+  // 请求超时处理
+  timeout = setTimeout(() => {
+    logger.warn(`用户 ${username} 请求超时: ${RequestIDs.join(', ')}`)
+    cancelPending()
+    fail(createRunError('请求超时', 504, 'timeout_error', 'request_timeout'), '请求超时')
+  }, RUN_TIMEOUT)
+}
+
+module.exports = {
+  runCompletion,
+  createRunError
+}
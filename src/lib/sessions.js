@@ -0,0 +1,130 @@
+// src/lib/sessions.js
+// PlaygroundSession 复用：同一对话的多轮请求共用一个 PromptLayer 会话，过期后按配置删除或归档
+const axios = require('axios')
+const upstream = require('./upstream')
+const logger = require('./logger')
+
+// 是否复用会话（设为 false 时每个请求新建会话，与旧行为一致）
+const REUSE_ENABLED = process.env.SESSION_REUSE !== 'false'
+// 会话空闲多久后不再复用
+const SESSION_TTL_MS = parseInt(process.env.SESSION_TTL_MS, 10) || 24 * 60 * 60 * 1000
+// 过期会话的处理方式：none 保留，delete 删除，archive 归档
+const SESSION_CLEANUP = ['delete', 'archive'].includes(process.env.SESSION_CLEANUP) ? process.env.SESSION_CLEANUP : 'none'
+// 最多记录的会话数，超出时淘汰最久未使用的
+const MAX_SESSIONS = 10000
+// 过期检查间隔
+const SWEEP_INTERVAL_MS = 60000
+// 会话名称中首条消息摘要的长度
+const NAME_SNIPPET_LENGTH = 40
+
+// key -> { id, account, workspaceId, lastUsed }，Map 的插入顺序即最近使用顺序
+const sessions = new Map()
+let sweepTimer = null
+
+// 提取消息中的纯文本
+function messageText(message) {
+  if (!message) return ''
+  if (typeof message.content === 'string') return message.content
+  return (message.content || [])
+    .filter(item => item.type === 'text')
+    .map(item => item.text || '')
+    .join('\n')
+}
+
+/**
+ * 计算对话标识：仅使用调用方传入的 x-conversation-id 请求头
+ * user 字段与消息内容都无法可靠区分对话，未传请求头时不复用会话
+ */
+function resolveKey(req) {
+  if (!REUSE_ENABLED) return null
+
+  const conversationId = req.headers['x-conversation-id']
+  if (!conversationId) return null
+  return `${req.account.workspaceId}:conversation:${conversationId}`
+}
+
+// 会话名称：对话标识或首条用户消息摘要，便于在控制台中查找
+function buildName(req) {
+  const conversationId = req.headers['x-conversation-id']
+  const firstUser = (req.body.messages || []).find(message => message.role === 'user')
+  const snippet = messageText(firstUser).replace(/\s+/g, ' ').trim()
+  const title = conversationId
+    || (snippet.length > NAME_SNIPPET_LENGTH ? `${snippet.slice(0, NAME_SNIPPET_LENGTH)}…` : snippet)
+    || '未命名对话'
+  return `[proxy] ${req.body.model} · ${title}`
+}
+
+// 获取可复用的会话ID
+function get(key) {
+  if (!key) return null
+  const entry = sessions.get(key)
+  if (!entry) return null
+  if (entry.lastUsed + SESSION_TTL_MS < Date.now()) {
+    expire(key, entry)
+    return null
+  }
+
+  entry.lastUsed = Date.now()
+  sessions.delete(key)
+  sessions.set(key, entry)
+  return entry.id
+}
+
+// 记录新建的会话
+function set(key, id, account) {
+  if (!key) return
+  sessions.delete(key)
+  sessions.set(key, { id, account, workspaceId: account.workspaceId, lastUsed: Date.now() })
+
+  while (sessions.size > MAX_SESSIONS) {
+    const [oldestKey, oldest] = sessions.entries().next().value
+    expire(oldestKey, oldest)
+  }
+  startSweep()
+}
+
+// 会话在上游失效（如被手动删除）时不再复用
+function invalidate(key) {
+  if (key) {
+    sessions.delete(key)
+  }
+}
+
+// 移除会话，并按配置删除或归档上游会话
+function expire(key, entry) {
+  sessions.delete(key)
+  if (SESSION_CLEANUP === 'none') return
+
+  const url = upstream.workspaceUrl(entry.workspaceId, `/playground_sessions/${entry.id}`)
+  const headers = { Authorization: "Bearer " + entry.account.access_token }
+  const request = SESSION_CLEANUP === 'delete'
+    ? axios.delete(url, { headers, timeout: 10000 })
+    : axios.patch(url, { is_archived: true }, { headers, timeout: 10000 })
+
+  request.then(() => {
+    logger.info(`会话已${SESSION_CLEANUP === 'delete' ? '删除' : '归档'}: ${entry.id}`)
+  }).catch((error) => {
+    logger.warn(`清理会话失败: ${entry.id}`, error.response?.status || error.message)
+  })
+}
+
+function startSweep() {
+  if (sweepTimer) return
+  sweepTimer = setInterval(() => {
+    const now = Date.now()
+    for (const [key, entry] of sessions) {
+      if (entry.lastUsed + SESSION_TTL_MS < now) {
+        expire(key, entry)
+      }
+    }
+  }, SWEEP_INTERVAL_MS)
+  sweepTimer.unref()
+}
+
+module.exports = {
+  resolveKey,
+  buildName,
+  get,
+  set,
+  invalidate
+}
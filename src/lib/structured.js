@@ -0,0 +1,169 @@
+// src/lib/structured.js
+// 结构化输出：response_format 的 json_object / json_schema 转换为各供应商的实现方式，并校验最终输出
+const Ajv = require('ajv')
+const { invalidParameterError } = require('./parameters')
+
+const ajv = new Ajv({ strict: false, allErrors: true })
+// 已编译的 schema 校验函数，按 schema 内容缓存
+const validators = new Map()
+const MAX_VALIDATORS = 100
+
+// 结构化输出工具名需满足的格式
+const NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/
+
+function compileSchema(schema) {
+  const key = JSON.stringify(schema)
+  if (validators.has(key)) {
+    return validators.get(key)
+  }
+
+  const validate = ajv.compile(schema)
+  validators.set(key, validate)
+  if (validators.size > MAX_VALIDATORS) {
+    validators.delete(validators.keys().next().value)
+  }
+  return validate
+}
+
+/**
+ * 解析 response_format，返回 null（普通文本）或
+ * { type, name, description, schema, mode }
+ * mode: native 供应商原生支持，tool 通过强制调用工具实现，instruction 通过系统提示约束
+ */
+function resolveStructuredOutput(body, model, parameters) {
+  const format = body.response_format
+  if (format === undefined || format === null) return null
+
+  if (typeof format !== 'object' || !['text', 'json_object', 'json_schema'].includes(format.type)) {
+    throw invalidParameterError('response_format', 'response_format.type 必须是 text、json_object 或 json_schema')
+  }
+  if (format.type === 'text') return null
+
+  const structured = { type: format.type, name: 'json_response', description: null, schema: null, format }
+
+  if (format.type === 'json_schema') {
+    const spec = format.json_schema
+    if (!spec || typeof spec.schema !== 'object' || spec.schema === null) {
+      throw invalidParameterError('response_format.json_schema.schema', 'response_format.json_schema.schema 必须是对象')
+    }
+    if (spec.name !== undefined && !NAME_PATTERN.test(spec.name)) {
+      throw invalidParameterError('response_format.json_schema.name', 'response_format.json_schema.name 只能包含字母、数字、下划线和连字符，最长 64 个字符')
+    }
+    try {
+      compileSchema(spec.schema)
+    } catch (error) {
+      throw invalidParameterError('response_format.json_schema.schema', `JSON Schema 无效: ${error.message}`)
+    }
+    structured.name = spec.name || structured.name
+    structured.description = spec.description || null
+    structured.schema = spec.schema
+  }
+
+  // Anthropic 没有原生的 response_format：优先强制调用工具，与客户端工具或思考冲突时改用系统提示
+  if (model.provider === 'openai') {
+    structured.mode = 'native'
+  } else if (structured.schema && !(body.tools && body.tools.length) && parameters.thinking?.type !== 'enabled') {
+    structured.mode = 'tool'
+  } else {
+    structured.mode = 'instruction'
+  }
+  return structured
+}
+
+// 约束输出格式的系统提示
+function buildInstruction(structured) {
+  let instruction = 'Respond only with a single valid JSON value. Do not wrap it in code fences or add any other text.'
+  if (structured.type === 'json_object') {
+    instruction = 'Respond only with a single valid JSON object. Do not wrap it in code fences or add any other text.'
+  }
+  if (structured.schema) {
+    instruction += `\nThe JSON must conform to this JSON Schema:\n${JSON.stringify(structured.schema)}`
+  }
+  return instruction
+}
+
+// 构造与 parseMessages 输出一致的文本消息
+function textMessage(role, text) {
+  return {
+    role,
+    content: [{ type: 'text', text }],
+    tool_calls: [],
+    template_format: 'f-string'
+  }
+}
+
+// 将结构化输出配置写入 prompt blueprint
+function applyStructuredOutput(blueprint, structured) {
+  if (!structured) return
+
+  const template = blueprint.prompt_template
+  if (structured.mode === 'native') {
+    blueprint.metadata.model.parameters.response_format = structured.format
+  } else if (structured.mode === 'tool') {
+    template.tools = [{
+      type: 'function',
+      function: {
+        name: structured.name,
+        description: structured.description || 'Return the final answer as structured data.',
+        parameters: structured.schema
+      }
+    }]
+    template.tool_choice = { type: 'function', function: { name: structured.name } }
+  } else {
+    const instruction = buildInstruction(structured)
+    const system = template.messages.find(message => message.role === 'system')
+    if (system) {
+      system.content = [...system.content, { type: 'text', text: instruction }]
+    } else {
+      template.messages = [textMessage('system', instruction), ...template.messages]
+    }
+  }
+}
+
+// 去掉模型可能添加的代码块标记
+function stripCodeFence(text) {
+  const match = text.trim().match(/^```(?:json)?\s*\n?([\s\S]*?)\n?```$/)
+  return match ? match[1].trim() : text.trim()
+}
+
+/**
+ * 校验输出是否满足 response_format
+ * 返回 { valid, text, error }，text 为去掉代码块后的 JSON 文本
+ */
+function validateOutput(output, structured) {
+  const text = stripCodeFence(output || '')
+  let value
+  try {
+    value = JSON.parse(text)
+  } catch (error) {
+    return { valid: false, text, error: `输出不是有效的 JSON: ${error.message}` }
+  }
+
+  if (structured.type === 'json_object' && (typeof value !== 'object' || value === null || Array.isArray(value))) {
+    return { valid: false, text, error: '输出不是 JSON 对象' }
+  }
+  if (structured.schema) {
+    const validate = compileSchema(structured.schema)
+    if (!validate(value)) {
+      return { valid: false, text, error: `输出不符合 JSON Schema: ${ajv.errorsText(validate.errors)}` }
+    }
+  }
+  return { valid: true, text, error: null }
+}
+
+// 修复重试：把不合格的输出和错误原因追加到对话中，要求模型重新输出
+function buildRepairBlueprint(blueprint, output, error) {
+  const repaired = JSON.parse(JSON.stringify(blueprint))
+  repaired.prompt_template.messages.push(
+    textMessage('assistant', output || '(empty)'),
+    textMessage('user', `Your previous response was rejected: ${error}\nRespond again with only the corrected JSON.`)
+  )
+  return repaired
+}
+
+module.exports = {
+  resolveStructuredOutput,
+  applyStructuredOutput,
+  validateOutput,
+  buildRepairBlueprint
+}
@@ -1,38 +1,57 @@
 // src/lib/upload.js
 const axios = require('axios')
 const FormData = require('form-data')
+const upstream = require('./upstream')
 const imageCache = require('./caches')
+const metrics = require('./metrics')
+const logger = require('./logger')
+
+// 进行中的上传：cacheKey -> Promise，同一账户并发上传相同内容时只上传一次
+const inflightUploads = new Map()
 
 // 修改函数签名，接收account参数而不是从manager获取
-async function uploadFileBuffer(fileBuffer, account) {
+// options: { filename, contentType }，缺省时按 PNG 图片上传
+async function uploadFileBuffer(fileBuffer, account, options = {}) {
+  // 检查account是否存在
+  if (!account || !account.access_token) {
+    logger.error('无效的账户信息')
+    return { success: false, error: '账户信息无效' }
+  }
+
+  // 检查缓存中是否已存在此文件
+  // 注意：现在每个用户都有自己的缓存空间，需要按用户区分
+  const cacheKey = `${account.username || 'anonymous'}_${imageCache.computeHash(fileBuffer)}`
+  const cachedUrl = imageCache.getImageUrl(cacheKey)
+  if (cachedUrl) {
+    logger.debug('使用缓存的文件URL:', cachedUrl)
+    return { success: true, file_url: cachedUrl }
+  }
+
+  if (inflightUploads.has(cacheKey)) {
+    return inflightUploads.get(cacheKey)
+  }
+
+  const upload = sendUpload(fileBuffer, account, options, cacheKey)
+  inflightUploads.set(cacheKey, upload)
+  try {
+    return await upload
+  } finally {
+    inflightUploads.delete(cacheKey)
+  }
+}
+
+// 上传到 PromptLayer，成功后写入缓存
+async function sendUpload(fileBuffer, account, options, cacheKey) {
   try {
-    // 检查account是否存在
-    if (!account || !account.access_token) {
-      console.error('无效的账户信息')
-      return { success: false, error: '账户信息无效' }
-    }
-    
     const authToken = account.access_token  // 使用正确的 access_token
-    
-    // 转换为base64用于缓存检查
-    const base64Data = fileBuffer.toString('base64')
-    
-    // 检查缓存中是否已存在此图片
-    // 注意：现在每个用户都有自己的缓存空间，需要按用户区分
-    const cacheKey = `${account.username || 'anonymous'}_${base64Data}`
-    const cachedUrl = imageCache.getImageUrl(cacheKey)
-    if (cachedUrl) {
-      console.log('使用缓存的图片URL:', cachedUrl)
-      return { success: true, file_url: cachedUrl }
-    }
-    
+
     // 创建表单数据
     const form = new FormData()
 
     // 添加文件内容到表单，使用正确的文件名和content-type
     form.append('file', fileBuffer, {
-      filename: `image_${Date.now()}.png`,
-      contentType: 'image/png'
+      filename: options.filename || `image_${Date.now()}.png`,
+      contentType: options.contentType || 'image/png'
     })
 
     // 设置请求头，添加必要的浏览器相关头信息
@@ -41,8 +60,8 @@ async function uploadFileBuffer(fileBuffer, account) {
       'Authorization': `Bearer ${authToken}`,
       'Accept': '*/*',
       'Accept-Language': 'zh-CN,zh;q=0.9,en-US;q=0.8,en;q=0.7',
-      'Origin': 'https://dashboard.promptlayer.com',
-      'Referer': 'https://dashboard.promptlayer.com/',
+      'Origin': upstream.DASHBOARD_URL,
+      'Referer': `${upstream.DASHBOARD_URL}/`,
       'Sec-Ch-Ua': '"Chromium";v="136", "Microsoft Edge";v="136", "Not.A/Brand";v="99"',
       'Sec-Ch-Ua-Mobile': '?0',
       'Sec-Ch-Ua-Platform': '"Windows"',
@@ -52,32 +71,32 @@ async function uploadFileBuffer(fileBuffer, account) {
       'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/136.0.0.0 Safari/537.36 Edg/136.0.0.0',
     }
 
-    console.log(`用户 ${account.username} 开始上传图片，大小:`, fileBuffer.length, 'bytes')
+    logger.info(`用户 ${account.username} 开始上传文件 ${options.contentType || 'image/png'}，大小:`, fileBuffer.length, 'bytes')
 
     // 发送请求
-    const response = await axios.post('https://api.promptlayer.com/upload', form, { 
+    const response = await metrics.timeUpstream('upload', () => axios.post(upstream.apiUrl('/upload'), form, { 
       headers,
       timeout: 30000 // 30秒超时
-    })
+    }))
     
     // 如果上传成功，添加到缓存
     if (response.data && response.data.success && response.data.file_url) {
       // 按用户区分缓存
       imageCache.addImage(cacheKey, response.data.file_url)
-      console.log(`用户 ${account.username} 图片上传成功:`, response.data.file_url)
+      logger.info(`用户 ${account.username} 文件上传成功:`, response.data.file_url)
     }
 
     // 返回响应数据
     return response.data
   } catch (error) {
-    console.error('图片上传失败:', {
+    logger.error('文件上传失败:', {
       user: account?.username || 'unknown',
       status: error.response?.status,
       statusText: error.response?.statusText,
       data: error.response?.data,
       message: error.message
     })
-    return { success: false, error: error.message }
+    return { success: false, error: error.message, status: error.response?.status }
   }
 }
 
@@ -0,0 +1,28 @@
+// src/lib/upstream.js
+// 上游地址：PromptLayer API、Ably 实时服务与 PromptLayer 控制台，可通过环境变量指向测试环境或本地模拟服务
+function readUrl(name, fallback) {
+  return (process.env[name] || fallback).replace(/\/+$/, '')
+}
+
+const API_URL = readUrl('PROMPTLAYER_API_URL', 'https://api.promptlayer.com')
+const REALTIME_URL = readUrl('ABLY_REALTIME_URL', 'wss://realtime.ably.io')
+// 上传接口校验的 Origin / Referer
+const DASHBOARD_URL = readUrl('PROMPTLAYER_DASHBOARD_URL', 'https://dashboard.promptlayer.com')
+
+// PromptLayer API 地址，path 以 / 开头
+function apiUrl(path) {
+  return API_URL + path
+}
+
+// 控制台 v2 接口中某个工作空间下的地址
+function workspaceUrl(workspaceId, path) {
+  return `${API_URL}/api/dashboard/v2/workspaces/${workspaceId}${path}`
+}
+
+module.exports = {
+  API_URL,
+  REALTIME_URL,
+  DASHBOARD_URL,
+  apiUrl,
+  workspaceUrl
+}
@@ -0,0 +1,127 @@
+// src/lib/usage.js
+// Token 用量：优先使用上游上报的数据，缺失时本地估算
+const axios = require('axios')
+const upstream = require('./upstream')
+const metrics = require('./metrics')
+const logger = require('./logger')
+
+// 从上游对象中读取 token 计数，兼容 OpenAI / Anthropic 两种命名
+function pickTokenCounts(source) {
+  if (!source || typeof source !== 'object') return null
+  const usage = source.usage && typeof source.usage === 'object' ? source.usage : source
+
+  const prompt = usage.prompt_tokens ?? usage.input_tokens
+  const completion = usage.completion_tokens ?? usage.output_tokens
+  if (typeof prompt !== 'number' || typeof completion !== 'number') return null
+
+  const reasoning = usage.completion_tokens_details?.reasoning_tokens ?? usage.reasoning_tokens ?? 0
+  return { prompt, completion, reasoning }
+}
+
+// 在完成事件的 payload 中查找用量
+function extractUsage(payload) {
+  if (!payload) return null
+  return pickTokenCounts(payload)
+    || pickTokenCounts(payload.request_log)
+    || pickTokenCounts(payload.individual_run_request)
+    || null
+}
+
+// 查询运行详情，失败时返回 null
+async function fetchRunDetails(account, runId) {
+  try {
+    const url = upstream.workspaceUrl(account.workspaceId, `/individual_run_requests/${runId}`)
+    const response = await metrics.timeUpstream('run_details', () => axios.get(url, {
+      headers: { Authorization: "Bearer " + account.access_token },
+      timeout: 10000
+    }))
+    const data = response.data || {}
+    return data.individual_run_request || data
+  } catch (error) {
+    logger.warn(`获取运行详情失败: ${runId}`, error.message)
+    return null
+  }
+}
+
+// 粗略估算 token：CJK 字符按 1 个计，其余按 4 个字符 1 个计
+function estimateTokens(text) {
+  if (!text) return 0
+  const cjk = (text.match(/[\u3000-\u9fff\uac00-\ud7af\uff00-\uffef]/g) || []).length
+  return cjk + Math.ceil((text.length - cjk) / 4)
+}
+
+// 提取 prompt 中用于估算的文本
+function promptText(blueprint) {
+  const template = blueprint?.prompt_template || {}
+  const parts = []
+  for (const message of template.messages || []) {
+    for (const item of message.content || []) {
+      if (item.type === 'text') parts.push(item.text || '')
+    }
+    if (Array.isArray(message.tool_calls)) {
+      parts.push(JSON.stringify(message.tool_calls))
+    }
+  }
+  if (template.tools) {
+    parts.push(JSON.stringify(template.tools))
+  }
+  return parts.join('\n')
+}
+
+// 转换为 OpenAI 格式的 usage 对象
+function formatUsage({ prompt, completion, reasoning }, estimated) {
+  const usage = {
+    prompt_tokens: prompt,
+    completion_tokens: completion,
+    total_tokens: prompt + completion,
+    completion_tokens_details: {
+      reasoning_tokens: reasoning
+    }
+  }
+  if (estimated) {
+    usage.estimated = true
+  }
+  return usage
+}
+
+/**
+ * 计算一次运行的用量
+ * 顺序：完成事件 payload -> 查询运行详情 -> 本地估算（标记 estimated）
+ */
+async function resolveUsage(req, runId, payload, result) {
+  const reported = extractUsage(payload) || extractUsage(await fetchRunDetails(req.account, runId))
+  if (reported) {
+    return formatUsage(reported, false)
+  }
+
+  const reasoning = estimateTokens(result.thinking)
+  const completion = reasoning
+    + estimateTokens(result.text)
+    + result.toolCalls.reduce((sum, call) => sum + estimateTokens(call.name + call.arguments), 0)
+
+  return formatUsage({
+    prompt: estimateTokens(promptText(req.promptBlueprint)),
+    completion,
+    reasoning
+  }, true)
+}
+
+// 合并多次运行的用量，补全用量累加
+// 同一运行组中的候选共用提示词，只计一次；先后发出的运行（如修复重试）提示词分别计入
+function mergeUsage(usages, { sharedPrompt = true } = {}) {
+  if (usages.length === 1) return usages[0]
+  const prompt = sharedPrompt
+    ? Math.max(...usages.map(usage => usage.prompt_tokens))
+    : usages.reduce((sum, usage) => sum + usage.prompt_tokens, 0)
+  const completion = usages.reduce((sum, usage) => sum + usage.completion_tokens, 0)
+  const reasoning = usages.reduce((sum, usage) => sum + (usage.completion_tokens_details?.reasoning_tokens || 0), 0)
+  return formatUsage({ prompt, completion, reasoning }, usages.some(usage => usage.estimated))
+}
+
+module.exports = {
+  extractUsage,
+  fetchRunDetails,
+  estimateTokens,
+  resolveUsage,
+  mergeUsage
+}
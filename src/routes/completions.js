@@ -0,0 +1,232 @@
+// src/routes/completions.js
+// 旧版 Completions API 兼容路由：prompt 包装为单条用户消息，复用聊天补全的运行流程
+// 多个 prompt 依次各自运行，第 i 个 prompt 的候选 index 为 i * n + choice（与 OpenAI 一致）
+
+const express = require('express')
+const router = express.Router()
+const { v4: uuidv4 } = require('uuid')
+const verify = require('./verify')
+const rateLimit = require('../lib/rate-limit')
+const parseMessages = require('./parse-messages')
+const { runCompletion, createRunError } = require('../lib/run')
+const { mergeUsage } = require('../lib/usage')
+const { handleChatError: handleError } = require('../lib/errors')
+const logger = require('../lib/logger')
+
+// 单次请求最多包含的 prompt 数量，多个 prompt 依次运行
+const MAX_PROMPTS = 16
+
+function invalidPromptError(message) {
+  const error = createRunError(message, 400, 'invalid_request_error', 'invalid_value')
+  error.param = 'prompt'
+  return error
+}
+
+// prompt 可以是字符串或字符串数组，统一为数组；不支持 token 数组
+function readPrompts(prompt) {
+  if (prompt === undefined || prompt === null) return ['']
+  if (typeof prompt === 'string') return [prompt]
+  if (!Array.isArray(prompt) || prompt.some(item => typeof item !== 'string')) {
+    throw invalidPromptError('prompt 必须是字符串或字符串数组，不支持 token 数组')
+  }
+  if (prompt.length === 0) return ['']
+  if (prompt.length > MAX_PROMPTS) {
+    throw invalidPromptError(`prompt 最多包含 ${MAX_PROMPTS} 项`)
+  }
+  return prompt
+}
+
+// 将 prompt 请求转换为聊天补全格式，之后复用 parseMessages（消息按第一个 prompt 构建）
+function convertRequest(req, res, next) {
+  const body = req.body || {}
+  let prompts
+  try {
+    prompts = readPrompts(body.prompt)
+  } catch (error) {
+    return next(error)
+  }
+  const prompt = prompts[0]
+
+  const messages = []
+  // suffix：要求模型只输出位于 prompt 与 suffix 之间的内容
+  if (body.suffix) {
+    messages.push({
+      role: 'system',
+      content: `Complete the text provided by the user. The completion will be followed immediately by this suffix:\n${body.suffix}\nOutput only the text that goes between the user's text and the suffix.`
+    })
+  }
+  messages.push({ role: 'user', content: prompt })
+
+  const converted = {
+    model: body.model,
+    messages,
+    stream: body.stream === true,
+    stream_options: body.stream_options,
+    n: body.n,
+    max_tokens: body.max_tokens,
+    temperature: body.temperature,
+    top_p: body.top_p,
+    stop: body.stop,
+    seed: body.seed,
+    frequency_penalty: body.frequency_penalty,
+    presence_penalty: body.presence_penalty
+  }
+
+  for (const key in converted) {
+    if (converted[key] === undefined) delete converted[key]
+  }
+
+  req.completionsRequest = { prompts, echo: body.echo === true }
+  req.body = converted
+  next()
+}
+
+router.post('/v1/completions', verify, rateLimit.middleware, verify.acquireAccount, convertRequest, parseMessages, async (req, res) => {
+  const isStreamMode = req.body.stream === true
+  const includeUsage = isStreamMode && req.body.stream_options?.include_usage === true
+  const { prompts, echo } = req.completionsRequest
+  const CompletionID = `cmpl-${uuidv4().replace(/-/g, '')}`
+  const created = Math.floor(Date.now() / 1000)
+  const choiceCount = req.choiceCount
+  const baseMessages = req.body.messages
+
+  const buildChunk = (choices) => {
+    const chunk = {
+      id: CompletionID,
+      object: 'text_completion',
+      created,
+      model: req.body.model,
+      choices
+    }
+    if (includeUsage) {
+      chunk.usage = null
+    }
+    return chunk
+  }
+
+  const writeChunk = (chunk) => {
+    try {
+      res.write(`data: ${JSON.stringify(chunk)}\n\n`)
+    } catch (writeError) {
+      logger.error('写入流式数据失败:', writeError)
+    }
+  }
+
+  // 文本补全没有工具调用
+  const finishReasonOf = (result) => result.finishReason === 'tool_calls' ? 'stop' : result.finishReason
+
+  // 每个 prompt 使用独立的请求上下文：消息、会话与运行状态各自保存，认证账户与参数沿用原请求
+  const contextFor = (promptIndex) => {
+    const context = Object.create(req)
+    context.body = {
+      ...req.body,
+      messages: promptIndex === 0 ? baseMessages : messagesForPrompt(baseMessages, prompts[promptIndex])
+    }
+    return context
+  }
+
+  // 运行一个 prompt，完成时返回 { choices, usage }，出错时返回 { error, context }
+  // 客户端断开时运行不会再回调
+  const runPrompt = (promptIndex) => new Promise((resolve) => {
+    const prompt = prompts[promptIndex]
+    const indexOf = (choice) => promptIndex * choiceCount + choice
+
+    runCompletion(contextFor(promptIndex), {
+      onStart() {
+        // echo：先输出原始 prompt
+        if (!isStreamMode || !echo) return
+        for (let choice = 0; choice < choiceCount; choice++) {
+          writeChunk(buildChunk([{ text: prompt, index: indexOf(choice), logprobs: null, finish_reason: null }]))
+        }
+      },
+
+      // 文本补全没有思考内容字段，直接丢弃
+      onThinking() {},
+
+      onText(delta, choice) {
+        if (!isStreamMode) return
+        writeChunk(buildChunk([{ text: delta, index: indexOf(choice), logprobs: null, finish_reason: null }]))
+      },
+
+      onToolCall() {},
+
+      onComplete({ choices, usage }) {
+        const results = choices.map(result => ({
+          text: (echo ? prompt : '') + result.text,
+          index: indexOf(result.index),
+          logprobs: null,
+          finish_reason: finishReasonOf(result)
+        }))
+        if (isStreamMode) {
+          for (const result of results) {
+            writeChunk(buildChunk([{ text: '', index: result.index, logprobs: null, finish_reason: result.finish_reason }]))
+          }
+        }
+        resolve({ choices: results, usage })
+      },
+
+      onError(error, context) {
+        resolve({ error, context })
+      }
+    })
+  })
+
+  try {
+    logger.info(`用户 ${req.account.username} 开始处理 Completions 请求: ${CompletionID}, 流式模式: ${isStreamMode}, prompt 数量: ${prompts.length}`)
+
+    if (isStreamMode) {
+      res.setHeader('Content-Type', 'text/event-stream; charset=utf-8')
+      res.setHeader('Cache-Control', 'no-cache')
+      res.setHeader('Connection', 'keep-alive')
+      res.setHeader('X-Accel-Buffering', 'no')
+      res.flushHeaders()
+    }
+
+    // 各 prompt 同时运行，全部结束后再输出，避免出错时其他运行仍在写入已结束的响应
+    // 每个运行都会监听响应的 close 事件
+    res.setMaxListeners(res.getMaxListeners() + prompts.length)
+    const outcomes = await Promise.all(prompts.map((prompt, promptIndex) => runPrompt(promptIndex)))
+    const failed = outcomes.find(outcome => outcome.error)
+    if (failed) {
+      return handleError(res, failed.error, failed.context)
+    }
+
+    // choice 的 index 由 prompt 序号决定，按 index 排列
+    const choices = outcomes.flatMap(outcome => outcome.choices).sort((a, b) => a.index - b.index)
+    // 各 prompt 分别运行，提示词用量分别计入
+    const usage = mergeUsage(outcomes.map(outcome => outcome.usage), { sharedPrompt: false })
+
+    if (!isStreamMode) {
+      return res.json({
+        id: CompletionID,
+        object: 'text_completion',
+        created,
+        model: req.body.model,
+        choices,
+        usage
+      })
+    }
+
+    if (includeUsage) {
+      writeChunk({ ...buildChunk([]), usage })
+    }
+    res.write(`data: [DONE]\n\n`)
+    res.end()
+    logger.info(`用户 ${req.account.username} Completions 流式响应已完成`)
+  } catch (error) {
+    logger.error(`用户 ${req.account.username} Completions 处理错误:`, error)
+    return handleError(res, error, 'Completions 服务错误')
+  }
+})
+
+// 替换已解析消息中最后一条用户消息的文本，得到其他 prompt 的消息
+function messagesForPrompt(messages, prompt) {
+  const copied = JSON.parse(JSON.stringify(messages))
+  copied[copied.length - 1].content = [{ type: 'text', text: prompt }]
+  return copied
+}
+
+// 中间件传出的错误（模型不存在、参数无效、消息处理失败等）
+router.use((error, req, res, next) => handleError(res, error, '请求处理失败'))
+
+module.exports = router
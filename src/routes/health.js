@@ -0,0 +1,22 @@
+// src/routes/health.js
+// 存活（/health）与就绪（/ready）检查，供编排系统与负载均衡使用
+const express = require('express')
+const router = express.Router()
+const health = require('../lib/health')
+const logger = require('../lib/logger')
+
+router.get('/health', (req, res) => {
+  res.json(health.getHealth())
+})
+
+router.get('/ready', async (req, res) => {
+  try {
+    const readiness = await health.getReadiness()
+    res.status(readiness.ready ? 200 : 503).json(readiness)
+  } catch (error) {
+    logger.error('就绪检查失败:', error)
+    res.status(503).json({ ready: false, status: 'not_ready', error: error.message })
+  }
+})
+
+module.exports = router
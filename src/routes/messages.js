@@ -0,0 +1,380 @@
+// src/routes/messages.js
+// Anthropic Messages API 兼容路由
+
+const express = require('express')
+const router = express.Router()
+const { v4: uuidv4 } = require('uuid')
+const verify = require('./verify')
+const rateLimit = require('../lib/rate-limit')
+const parseMessages = require('./parse-messages')
+const modelRegistry = require('../lib/model-registry')
+const media = require('../lib/media')
+const { runCompletion } = require('../lib/run')
+const { normalizeError } = require('../lib/errors')
+const logger = require('../lib/logger')
+
+// Anthropic 错误类型映射
+const ERROR_TYPES = {
+  400: 'invalid_request_error',
+  401: 'authentication_error',
+  403: 'permission_error',
+  404: 'not_found_error',
+  413: 'request_too_large',
+  429: 'rate_limit_error',
+  529: 'overloaded_error'
+}
+
+// finish_reason -> Anthropic stop_reason
+const STOP_REASONS = {
+  stop: 'end_turn',
+  length: 'max_tokens',
+  tool_calls: 'tool_use',
+  content_filter: 'refusal'
+}
+
+// 错误处理工具函数（Anthropic 格式）
+function handleError(res, error, context = '服务器内部错误') {
+  logger.error(`${context}:`, error)
+  const { status, message } = normalizeError(error, context)
+  const body = {
+    type: 'error',
+    error: {
+      type: ERROR_TYPES[status] || 'api_error',
+      message
+    }
+  }
+
+  if (res.headersSent) {
+    try {
+      res.write(`event: error\ndata: ${JSON.stringify(body)}\n\n`)
+      res.end()
+    } catch (writeError) {
+      logger.error('写入流式错误响应失败:', writeError)
+      res.end()
+    }
+    return
+  }
+
+  return res.status(status).json(body)
+}
+
+// 请求参数错误，由错误处理中间件输出为 invalid_request_error
+function invalidRequestError(message) {
+  const error = new Error(message)
+  error.status = 400
+  error.type = 'invalid_request_error'
+  return error
+}
+
+// Anthropic SDK 使用 x-api-key 传递密钥
+function useApiKey(req, res, next) {
+  if (!req.headers.authorization && req.headers['x-api-key']) {
+    req.headers.authorization = `Bearer ${req.headers['x-api-key']}`
+  }
+  next()
+}
+
+// 将 Anthropic 内容块转换为 OpenAI 内容项
+// 不支持的 document 来源直接抛出，Express 会把同步抛出的错误交给错误处理中间件
+function convertContentBlock(block) {
+  if (block.type === 'text') {
+    return { type: 'text', text: block.text }
+  }
+  if (block.type === 'image') {
+    const source = block.source || {}
+    const url = source.type === 'base64'
+      ? `data:${source.media_type};base64,${source.data}`
+      : source.url
+    return { type: 'image_url', image_url: { url } }
+  }
+  if (block.type === 'document') {
+    const source = block.source || {}
+    if (source.type === 'base64') {
+      return { type: 'file', file: { file_data: `data:${source.media_type};base64,${source.data}`, filename: block.title } }
+    }
+    if (source.type === 'url') {
+      // url 来源只能是 PDF，按扩展名确认
+      if (media.mimeTypeFromUrl(source.url) !== 'application/pdf') {
+        throw invalidRequestError('document 的 url 来源仅支持 PDF 文件，其他文件请使用 base64 或 text 来源')
+      }
+      return { type: 'file', file: { file_url: source.url, filename: block.title } }
+    }
+    if (source.type === 'text') {
+      return { type: 'text', text: source.data }
+    }
+    if (source.type === 'content') {
+      const text = typeof source.content === 'string' ? source.content : toolResultText(source.content)
+      return { type: 'text', text }
+    }
+    throw invalidRequestError(`不支持的 document 来源类型: ${source.type}`)
+  }
+  return null
+}
+
+// 将工具结果内容转换为纯文本
+function toolResultText(content) {
+  if (typeof content === 'string') return content
+  if (Array.isArray(content)) {
+    return content.filter(item => item.type === 'text').map(item => item.text).join('\n')
+  }
+  return ''
+}
+
+// 将 Anthropic 请求体转换为聊天补全格式，之后复用 parseMessages
+function convertRequest(req, res, next) {
+  const body = req.body || {}
+  if (!Array.isArray(body.messages)) {
+    return res.status(400).json({
+      type: 'error',
+      error: { type: 'invalid_request_error', message: 'messages: Field required' }
+    })
+  }
+
+  const messages = []
+
+  if (body.system) {
+    const system = typeof body.system === 'string'
+      ? body.system
+      : body.system.filter(item => item.type === 'text').map(item => item.text).join('\n')
+    messages.push({ role: 'system', content: system })
+  }
+
+  for (const msg of body.messages) {
+    if (typeof msg.content === 'string') {
+      messages.push({ role: msg.role, content: msg.content })
+      continue
+    }
+
+    const blocks = msg.content || []
+    if (msg.role === 'assistant') {
+      // 历史中的 thinking 块没有签名，无法回传上游，直接忽略
+      const toolCalls = blocks.filter(block => block.type === 'tool_use').map(block => ({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+      }))
+      const message = { role: 'assistant', content: blocks.map(convertContentBlock).filter(Boolean) }
+      if (toolCalls.length > 0) {
+        message.tool_calls = toolCalls
+      }
+      messages.push(message)
+      continue
+    }
+
+    // 用户消息中的 tool_result 拆分为独立的 tool 消息
+    for (const block of blocks.filter(block => block.type === 'tool_result')) {
+      messages.push({
+        role: 'tool',
+        tool_call_id: block.tool_use_id,
+        content: (block.is_error ? '[error] ' : '') + toolResultText(block.content)
+      })
+    }
+    const content = blocks.map(convertContentBlock).filter(Boolean)
+    if (content.length > 0) {
+      messages.push({ role: msg.role, content })
+    }
+  }
+
+  // 根据 thinking 参数选择对应的模型变体（别名先解析为正式 id，未知模型交给 parseMessages 报错）
+  let model = modelRegistry.resolve(body.model)?.id || body.model || ''
+  if (body.thinking?.type === 'enabled' && modelRegistry.resolve(`${model}-thinking`)) {
+    model = `${model}-thinking`
+  } else if (body.thinking?.type === 'disabled' && model.endsWith('-thinking') && modelRegistry.resolve(model.replace(/-thinking$/, ''))) {
+    model = model.replace(/-thinking$/, '')
+  }
+
+  const converted = {
+    model,
+    messages,
+    stream: body.stream === true,
+    max_tokens: body.max_tokens,
+    temperature: body.temperature,
+    top_p: body.top_p,
+    top_k: body.top_k,
+    stop_sequences: body.stop_sequences
+  }
+
+  if (body.thinking) {
+    converted.thinking = body.thinking
+  }
+
+  if (Array.isArray(body.tools) && body.tools.length > 0) {
+    converted.tools = body.tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.input_schema
+      }
+    }))
+
+    const choice = body.tool_choice
+    if (choice?.type === 'any') {
+      converted.tool_choice = 'required'
+    } else if (choice?.type === 'tool') {
+      converted.tool_choice = { type: 'function', function: { name: choice.name } }
+    } else if (choice?.type === 'none') {
+      converted.tool_choice = 'none'
+    } else if (choice?.type === 'auto') {
+      converted.tool_choice = 'auto'
+    }
+  }
+
+  for (const key in converted) {
+    if (converted[key] === undefined) delete converted[key]
+  }
+
+  req.requestedModel = body.model
+  req.body = converted
+  next()
+}
+
+// 解析工具参数，失败时原样放入
+function parseToolInput(args) {
+  if (!args) return {}
+  try {
+    return JSON.parse(args)
+  } catch (e) {
+    return { _raw: args }
+  }
+}
+
+router.post('/v1/messages', useApiKey, verify, rateLimit.middleware, verify.acquireAccount, convertRequest, parseMessages, async (req, res) => {
+  const isStreamMode = req.body.stream === true
+  const model = req.requestedModel
+  const MessageID = `msg_${uuidv4().replace(/-/g, '')}`
+
+  const writeEvent = (event, data) => {
+    try {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`)
+    } catch (writeError) {
+      logger.error('写入流式数据失败:', writeError)
+    }
+  }
+
+  try {
+    logger.info(`用户 ${req.account.username} 开始处理 Messages 请求: ${MessageID}, 流式模式: ${isStreamMode}`)
+
+    if (isStreamMode) {
+      res.setHeader('Content-Type', 'text/event-stream; charset=utf-8')
+      res.setHeader('Cache-Control', 'no-cache')
+      res.setHeader('Connection', 'keep-alive')
+      res.setHeader('X-Accel-Buffering', 'no')
+      res.flushHeaders()
+    }
+
+    // 当前打开的内容块：{ index, type, toolIndex }
+    let currentBlock = null
+    let blockCount = 0
+
+    const openBlock = (type, contentBlock, toolIndex) => {
+      if (currentBlock) {
+        writeEvent('content_block_stop', { type: 'content_block_stop', index: currentBlock.index })
+      }
+      currentBlock = { index: blockCount++, type, toolIndex }
+      writeEvent('content_block_start', { type: 'content_block_start', index: currentBlock.index, content_block: contentBlock })
+    }
+
+    const writeBlockDelta = (delta) => {
+      writeEvent('content_block_delta', { type: 'content_block_delta', index: currentBlock.index, delta })
+    }
+
+    await runCompletion(req, {
+      onStart() {
+        if (!isStreamMode) return
+        writeEvent('message_start', {
+          type: 'message_start',
+          message: {
+            id: MessageID,
+            type: 'message',
+            role: 'assistant',
+            model,
+            content: [],
+            stop_reason: null,
+            stop_sequence: null,
+            usage: { input_tokens: 0, output_tokens: 0 }
+          }
+        })
+      },
+
+      onThinking(delta) {
+        if (!isStreamMode) return
+        if (currentBlock?.type !== 'thinking') {
+          openBlock('thinking', { type: 'thinking', thinking: '' })
+        }
+        writeBlockDelta({ type: 'thinking_delta', thinking: delta })
+      },
+
+      onText(delta) {
+        if (!isStreamMode) return
+        if (currentBlock?.type !== 'text') {
+          openBlock('text', { type: 'text', text: '' })
+        }
+        writeBlockDelta({ type: 'text_delta', text: delta })
+      },
+
+      onToolCall({ index, id, name, delta }) {
+        if (!isStreamMode) return
+        if (currentBlock?.type !== 'tool_use' || currentBlock.toolIndex !== index) {
+          openBlock('tool_use', { type: 'tool_use', id, name, input: {} }, index)
+        }
+        if (delta) {
+          writeBlockDelta({ type: 'input_json_delta', partial_json: delta })
+        }
+      },
+
+      onComplete({ thinking, text, toolCalls, finishReason, usage }) {
+        const anthropicUsage = { input_tokens: usage.prompt_tokens, output_tokens: usage.completion_tokens }
+        const stopReason = STOP_REASONS[finishReason]
+
+        if (!isStreamMode) {
+          const content = []
+          if (thinking) {
+            content.push({ type: 'thinking', thinking, signature: '' })
+          }
+          if (text) {
+            content.push({ type: 'text', text })
+          }
+          for (const call of toolCalls) {
+            content.push({ type: 'tool_use', id: call.id, name: call.name, input: parseToolInput(call.arguments) })
+          }
+
+          return res.json({
+            id: MessageID,
+            type: 'message',
+            role: 'assistant',
+            model,
+            content,
+            stop_reason: stopReason,
+            stop_sequence: null,
+            usage: anthropicUsage
+          })
+        }
+
+        if (currentBlock) {
+          writeEvent('content_block_stop', { type: 'content_block_stop', index: currentBlock.index })
+        }
+        writeEvent('message_delta', {
+          type: 'message_delta',
+          delta: { stop_reason: stopReason, stop_sequence: null },
+          usage: anthropicUsage
+        })
+        writeEvent('message_stop', { type: 'message_stop' })
+        res.end()
+        logger.info(`用户 ${req.account.username} Messages 流式响应已完成`)
+      },
+
+      onError(error, context) {
+        handleError(res, error, context)
+      }
+    })
+  } catch (error) {
+    logger.error(`用户 ${req.account.username} Messages 处理错误:`, error)
+    return handleError(res, error, 'Messages 服务错误')
+  }
+})
+
+// 中间件传出的错误（模型不存在、参数无效、消息处理失败等）
+router.use((error, req, res, next) => handleError(res, error, '请求处理失败'))
+
+module.exports = router
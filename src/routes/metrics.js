@@ -0,0 +1,32 @@
+// src/routes/metrics.js
+// Prometheus 抓取端点，配置 METRICS_TOKEN 后需携带 Authorization: Bearer <token>
+const express = require('express')
+const router = express.Router()
+const metrics = require('../lib/metrics')
+const { tokenEquals } = require('./verify')
+const logger = require('../lib/logger')
+
+const METRICS_TOKEN = process.env.METRICS_TOKEN || ''
+
+router.get('/metrics', async (req, res) => {
+  if (METRICS_TOKEN && !tokenEquals(req.headers.authorization || '', `Bearer ${METRICS_TOKEN}`)) {
+    return res.status(401).json({
+      error: {
+        message: '无效的指标访问令牌',
+        type: 'authentication_error',
+        param: null,
+        code: 'invalid_metrics_token'
+      }
+    })
+  }
+
+  try {
+    res.setHeader('Content-Type', metrics.register.contentType)
+    res.end(await metrics.register.metrics())
+  } catch (error) {
+    logger.error('生成指标失败:', error)
+    res.status(500).end()
+  }
+})
+
+module.exports = router
@@ -1,23 +1,29 @@
 const express = require('express')
 const router = express.Router()
-const modelMap = require('../lib/model-map')
+const modelRegistry = require('../lib/model-registry')
+
+// 转换为 OpenAI 模型对象，附带模型元数据与默认参数
+function formatModel(model) {
+  const model_data = {
+    id: model.id,
+    object: "model",
+    created: model.created || 1626777600,
+    owned_by: model.owned_by || model.provider,
+    aliases: model.aliases || [],
+    context_window: model.context_window || null,
+    max_output_tokens: model.max_output_tokens || null
+  }
+  if (model.parameters) {
+    for (const item in model.parameters) {
+      model_data[item] = model.parameters[item]
+    }
+  }
+  return model_data
+}
 
 router.get('/v1/models', (req, res) => {
 
-  const result = Object.keys(modelMap).map((id) => {
-    const model_data = {
-      id,
-      object: "model",
-      created: 1626777600,
-      owned_by: modelMap[id].provider
-    }
-    if (modelMap[id].parameters) {
-      for (const item in modelMap[id].parameters) {
-        model_data[item] = modelMap[id].parameters[item]
-      }
-    }
-    return model_data
-  })
+  const result = modelRegistry.list().map(formatModel)
 
   res.json({
     object: "list",
@@ -25,4 +31,21 @@ router.get('/v1/models', (req, res) => {
   })
 })
 
+router.get('/v1/models/:id', (req, res) => {
+  const model = modelRegistry.resolve(req.params.id)
+  if (!model) {
+    const error = modelRegistry.modelNotFoundError(req.params.id)
+    return res.status(error.status).json({
+      error: {
+        message: error.message,
+        type: error.type,
+        param: error.param,
+        code: error.code
+      }
+    })
+  }
+
+  res.json(formatModel(model))
+})
+
 module.exports = router
\ No newline at end of file
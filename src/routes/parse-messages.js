@@ -0,0 +1,224 @@
+// src/routes/parse-messages.js
+const { v4: uuidv4 } = require('uuid')
+const { uploadFileBuffer } = require('../lib/upload')
+const modelRegistry = require('../lib/model-registry')
+const { translateParameters, resolveChoiceCount } = require('../lib/parameters')
+const media = require('../lib/media')
+const { resolveStructuredOutput } = require('../lib/structured')
+const logger = require('../lib/logger')
+
+// 附件处理错误，由各路由的错误处理中间件输出
+function createContentError(message, status, code, param) {
+  const error = new Error(message)
+  error.status = status
+  error.type = status >= 500 ? 'upstream_error' : 'invalid_request_error'
+  error.code = code
+  error.param = param
+  return error
+}
+
+// 上传 base64 附件并转换为 PromptLayer media 内容
+async function uploadMedia(req, dataUrl, filename, param) {
+  const { mimeType, buffer } = dataUrl
+  const maxBytes = media.maxBytesFor(mimeType)
+  if (buffer.length > maxBytes) {
+    throw createContentError(`附件大小 ${buffer.length} 字节超过上限 ${maxBytes} 字节`, 413, 'file_too_large', param)
+  }
+
+  const title = media.buildFilename(mimeType, filename)
+  const uploadResult = await uploadFileBuffer(buffer, req.account, { filename: title, contentType: mimeType })
+  if (!uploadResult?.success || !uploadResult.file_url) {
+    const status = uploadResult?.status === 413 ? 413 : 502
+    throw createContentError(`附件 ${title} 上传失败: ${uploadResult?.error || uploadResult?.message || '未知错误'}`, status, 'upload_failed', param)
+  }
+
+  return {
+    type: "media",
+    media: {
+      "type": media.mediaTypeFor(mimeType),
+      "url": uploadResult.file_url,
+      "title": title
+    }
+  }
+}
+
+// 外部 URL 附件直接交给上游读取
+function externalMedia(url, mediaType, filename) {
+  return {
+    type: "media",
+    media: {
+      "type": mediaType,
+      "url": url,
+      "title": filename || media.filenameFromUrl(url, `external_${mediaType}`)
+    }
+  }
+}
+
+// 转换单个内容项：文本、图片（image_url）与文件（file / input_file）
+async function convertContentItem(req, item, param) {
+  if (item.type === "text") {
+    return {
+      type: "text",
+      text: item.text
+    }
+  }
+
+  if (item.type === "image_url") {
+    const url = typeof item.image_url === "string" ? item.image_url : item.image_url?.url
+    if (!url) {
+      throw createContentError('image_url 缺少 url', 400, 'invalid_image', param)
+    }
+    const dataUrl = media.parseDataUrl(url)
+    if (!dataUrl) {
+      return externalMedia(url, "image")
+    }
+    if (!dataUrl.mimeType.startsWith('image/')) {
+      throw createContentError(`无法识别的图片格式: ${dataUrl.mimeType}`, 400, 'invalid_image_format', param)
+    }
+    return uploadMedia(req, dataUrl, null, param)
+  }
+
+  // OpenAI 的 file 内容与 Responses 的 input_file
+  if (item.type === "file" || item.type === "input_file") {
+    const file = item.type === "file" ? (item.file || {}) : item
+    if (file.file_data) {
+      // file_data 可能是 data URL 或裸 base64
+      const dataUrl = media.parseDataUrl(file.file_data)
+        || media.parseDataUrl(`data:application/octet-stream;base64,${file.file_data}`)
+      return uploadMedia(req, dataUrl, file.filename, param)
+    }
+    if (file.file_url) {
+      const mimeType = media.mimeTypeFromUrl(file.file_url) || 'application/octet-stream'
+      return externalMedia(file.file_url, media.mediaTypeFor(mimeType), file.filename)
+    }
+    throw createContentError('暂不支持通过 file_id 引用文件，请使用 file_data 或 file_url', 400, 'unsupported_file', param)
+  }
+
+  return {
+    type: "text",
+    text: JSON.stringify(item)
+  }
+}
+
+// 消息解析中间件
+async function parseMessages(req, res, next) {
+  // 解析模型（含别名）并校验参数，错误交给各路由的错误处理中间件按协议格式输出
+  const model = modelRegistry.resolve(req.body.model)
+  if (!model) {
+    return next(modelRegistry.modelNotFoundError(req.body.model))
+  }
+  req.model = model
+
+  try {
+    req.parameters = translateParameters(req.body, model)
+    req.choiceCount = resolveChoiceCount(req.body)
+    req.structuredOutput = resolveStructuredOutput(req.body, model, req.parameters)
+  } catch (error) {
+    return next(error)
+  }
+
+  const messages = req.body.messages
+  if (!Array.isArray(messages)) {
+    return next()
+  }
+
+  const provider = model.provider
+
+  // 建立 tool_call_id -> 函数名 的映射，tool 消息需要带上对应的 name
+  const toolNames = {}
+  for (const msg of messages) {
+    if (msg.role === "assistant" && Array.isArray(msg.tool_calls)) {
+      for (const call of msg.tool_calls) {
+        if (call?.id) toolNames[call.id] = call.function?.name || null
+      }
+    }
+  }
+
+  // 旧版 function_call 与紧随其后的 function 消息没有 id，为每一对合成相同的 tool_call_id
+  const legacyCallIds = {}
+  let pendingCallId = null
+  for (const [messageIndex, msg] of messages.entries()) {
+    if (msg.role === "function") {
+      if (!pendingCallId) {
+        return next(createContentError('function 消息必须紧跟在带有 function_call 的 assistant 消息之后', 400, 'invalid_function_message', `messages[${messageIndex}]`))
+      }
+      legacyCallIds[messageIndex] = pendingCallId
+      pendingCallId = null
+    } else if (msg.role === "assistant" && msg.function_call && !(Array.isArray(msg.tool_calls) && msg.tool_calls.length > 0)) {
+      pendingCallId = `call_${uuidv4().replace(/-/g, '').slice(0, 24)}`
+      legacyCallIds[messageIndex] = pendingCallId
+      toolNames[pendingCallId] = msg.function_call.name || null
+    } else {
+      pendingCallId = null
+    }
+  }
+
+  try {
+    const transformedMessages = await Promise.all(messages.map(async (msg, messageIndex) => {
+      const message = {
+        role: msg.role,
+        tool_calls: [],
+        template_format: "f-string"
+      }
+
+      // 旧版 function 角色等价于 tool 消息
+      if (msg.role === "function") {
+        message.role = "tool"
+      }
+
+      if (Array.isArray(msg.content)) {
+        const contentItems = await Promise.all(msg.content.map((item, itemIndex) => {
+          return convertContentItem(req, item, `messages[${messageIndex}].content[${itemIndex}]`)
+        }))
+
+        message.content = contentItems
+      } else {
+        message.content = [
+          {
+            type: "text",
+            text: msg.content || ""
+          }
+        ]
+      }
+
+      const toolCalls = message.role === "assistant" && legacyCallIds[messageIndex]
+        ? [{ id: legacyCallIds[messageIndex], function: msg.function_call }]
+        : msg.tool_calls
+
+      if (message.role === "assistant" && Array.isArray(toolCalls) && toolCalls.length > 0) {
+        message.tool_calls = toolCalls.map(call => ({
+          id: call.id,
+          type: "function",
+          function: {
+            name: call.function?.name,
+            arguments: typeof call.function?.arguments === "string"
+              ? call.function.arguments
+              : JSON.stringify(call.function?.arguments || {})
+          }
+        }))
+        message.function_call = null
+        message.name = null
+
+        // Anthropic 不接受空文本块，仅有工具调用时去掉空内容
+        if (provider === "anthropic") {
+          message.content = message.content.filter(item => item.type !== "text" || item.text)
+        }
+      } else if (message.role === "tool") {
+        delete message.tool_calls
+        message.tool_call_id = msg.tool_call_id || legacyCallIds[messageIndex] || null
+        message.name = msg.name || toolNames[message.tool_call_id] || null
+      }
+
+      return message
+    }))
+
+    req.body.messages = transformedMessages
+    return next()
+  } catch (error) {
+    logger.error("处理消息时出错:", error)
+    req.body.messages = []
+    return next(error)
+  }
+}
+
+module.exports = parseMessages
@@ -0,0 +1,16 @@
+// src/routes/rate-limits.js
+// 查看当前限流配置、全局用量与调用方自己的 Key 的用量，需要认证
+const express = require('express')
+const router = express.Router()
+const verify = require('./verify')
+const rateLimit = require('../lib/rate-limit')
+const { handleChatError: handleError } = require('../lib/errors')
+
+router.get('/v1/rate_limits', verify, (req, res) => {
+  res.json(rateLimit.getStatus(req))
+})
+
+// 认证失败
+router.use((error, req, res, next) => handleError(res, error, '请求处理失败'))
+
+module.exports = router
@@ -0,0 +1,368 @@
+// src/routes/responses.js
+// OpenAI Responses API 兼容路由
+
+const express = require('express')
+const router = express.Router()
+const { v4: uuidv4 } = require('uuid')
+const verify = require('./verify')
+const rateLimit = require('../lib/rate-limit')
+const parseMessages = require('./parse-messages')
+const { runCompletion } = require('../lib/run')
+const { normalizeError } = require('../lib/errors')
+const logger = require('../lib/logger')
+
+// 生成带前缀的对象ID
+function createId(prefix) {
+  return `${prefix}_${uuidv4().replace(/-/g, '')}`
+}
+
+// finish_reason -> incomplete_details.reason
+const INCOMPLETE_REASONS = {
+  length: 'max_output_tokens',
+  content_filter: 'content_filter'
+}
+
+// 错误处理工具函数
+function handleError(res, error, context = '服务器内部错误') {
+  logger.error(`${context}:`, error)
+  const { status, message, type, code, param } = normalizeError(error, context)
+
+  if (res.headersSent) {
+    try {
+      res.write(`event: error\ndata: ${JSON.stringify({ type: 'error', code, message, param: null })}\n\n`)
+      res.end()
+    } catch (writeError) {
+      logger.error('写入流式错误响应失败:', writeError)
+      res.end()
+    }
+    return
+  }
+
+  return res.status(status).json({
+    "error": {
+      "message": message,
+      "type": type,
+      "param": param,
+      "code": code
+    }
+  })
+}
+
+// 将 Responses 内容项转换为聊天补全内容项
+function convertContentPart(part) {
+  if (part.type === 'input_text' || part.type === 'output_text' || part.type === 'text') {
+    return { type: 'text', text: part.text }
+  }
+  if (part.type === 'input_image') {
+    const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url
+    return url ? { type: 'image_url', image_url: { url } } : null
+  }
+  if (part.type === 'input_file') {
+    return { type: 'input_file', file_data: part.file_data, file_url: part.file_url, file_id: part.file_id, filename: part.filename }
+  }
+  return null
+}
+
+// 将 Responses 请求体转换为聊天补全格式，之后复用 parseMessages
+function convertRequest(req, res, next) {
+  const body = req.body || {}
+
+  if (body.previous_response_id) {
+    return res.status(400).json({
+      error: {
+        message: '不支持 previous_response_id，请在 input 中携带完整对话',
+        type: 'invalid_request_error',
+        param: 'previous_response_id',
+        code: 'unsupported_parameter'
+      }
+    })
+  }
+
+  const messages = []
+  if (body.instructions) {
+    messages.push({ role: 'system', content: body.instructions })
+  }
+
+  const input = typeof body.input === 'string'
+    ? [{ role: 'user', content: body.input }]
+    : (Array.isArray(body.input) ? body.input : [])
+
+  for (const item of input) {
+    if (item.type === 'function_call') {
+      // 连续的工具调用合并到同一条 assistant 消息
+      let last = messages[messages.length - 1]
+      if (!last || last.role !== 'assistant') {
+        last = { role: 'assistant', content: '' }
+        messages.push(last)
+      }
+      last.tool_calls = last.tool_calls || []
+      last.tool_calls.push({
+        id: item.call_id,
+        type: 'function',
+        function: { name: item.name, arguments: item.arguments || '' }
+      })
+    } else if (item.type === 'function_call_output') {
+      messages.push({
+        role: 'tool',
+        tool_call_id: item.call_id,
+        content: typeof item.output === 'string' ? item.output : JSON.stringify(item.output)
+      })
+    } else if (item.role && (item.type === 'message' || item.type === undefined)) {
+      const role = item.role === 'developer' ? 'system' : item.role
+      const content = typeof item.content === 'string'
+        ? item.content
+        : (item.content || []).map(convertContentPart).filter(Boolean)
+      messages.push({ role, content })
+    }
+    // reasoning 等其他条目无法回传上游，直接忽略
+  }
+
+  const converted = {
+    model: body.model,
+    messages,
+    stream: body.stream === true,
+    temperature: body.temperature,
+    top_p: body.top_p
+  }
+
+  // text.format 对应聊天补全的 response_format
+  const format = body.text?.format
+  if (format?.type === 'json_schema') {
+    converted.response_format = {
+      type: 'json_schema',
+      json_schema: { name: format.name, description: format.description, schema: format.schema, strict: format.strict }
+    }
+  } else if (format?.type === 'json_object') {
+    converted.response_format = { type: 'json_object' }
+  }
+
+  if (body.max_output_tokens) {
+    converted.max_tokens = body.max_output_tokens
+    converted.max_completion_tokens = body.max_output_tokens
+  }
+
+  if (body.reasoning?.effort) {
+    converted.reasoning_effort = body.reasoning.effort
+  }
+
+  const tools = (body.tools || []).filter(tool => tool.type === 'function')
+  if (tools.length > 0) {
+    converted.tools = tools.map(tool => ({
+      type: 'function',
+      function: {
+        name: tool.name,
+        description: tool.description,
+        parameters: tool.parameters
+      }
+    }))
+
+    if (typeof body.tool_choice === 'string') {
+      converted.tool_choice = body.tool_choice
+    } else if (body.tool_choice?.type === 'function') {
+      converted.tool_choice = { type: 'function', function: { name: body.tool_choice.name } }
+    }
+  }
+
+  for (const key in converted) {
+    if (converted[key] === undefined) delete converted[key]
+  }
+
+  req.responsesRequest = body
+  req.body = converted
+  next()
+}
+
+router.post('/v1/responses', verify, rateLimit.middleware, verify.acquireAccount, convertRequest, parseMessages, async (req, res) => {
+  const isStreamMode = req.body.stream === true
+  const ResponseID = createId('resp')
+  const createdAt = Math.floor(Date.now() / 1000)
+  let sequenceNumber = 0
+
+  // 输出条目，顺序即 output_index
+  const output = []
+  let currentItem = null
+  let currentToolIndex = null
+
+  const buildResponse = (status, usage = null, incompleteDetails = null) => ({
+    id: ResponseID,
+    object: 'response',
+    created_at: createdAt,
+    status,
+    error: null,
+    incomplete_details: incompleteDetails,
+    instructions: req.responsesRequest.instructions || null,
+    max_output_tokens: req.responsesRequest.max_output_tokens || null,
+    model: req.body.model,
+    output,
+    parallel_tool_calls: true,
+    reasoning: req.responsesRequest.reasoning || null,
+    temperature: req.responsesRequest.temperature ?? null,
+    tool_choice: req.responsesRequest.tool_choice || 'auto',
+    tools: req.responsesRequest.tools || [],
+    top_p: req.responsesRequest.top_p ?? null,
+    usage: usage && {
+      input_tokens: usage.prompt_tokens,
+      output_tokens: usage.completion_tokens,
+      output_tokens_details: { reasoning_tokens: usage.completion_tokens_details.reasoning_tokens },
+      total_tokens: usage.total_tokens
+    },
+    metadata: req.responsesRequest.metadata || {}
+  })
+
+  const writeEvent = (type, data) => {
+    if (!isStreamMode) return
+    try {
+      res.write(`event: ${type}\ndata: ${JSON.stringify({ type, sequence_number: sequenceNumber++, ...data })}\n\n`)
+    } catch (writeError) {
+      logger.error('写入流式数据失败:', writeError)
+    }
+  }
+
+  // 结束当前条目并发送对应的 done 事件
+  const closeItem = () => {
+    if (!currentItem) return
+    const item = currentItem
+    const output_index = output.indexOf(item)
+
+    if (item.type === 'reasoning') {
+      const part = item.summary[0]
+      writeEvent('response.reasoning_summary_text.done', { item_id: item.id, output_index, summary_index: 0, text: part.text })
+      writeEvent('response.reasoning_summary_part.done', { item_id: item.id, output_index, summary_index: 0, part })
+    } else if (item.type === 'message') {
+      const part = item.content[0]
+      writeEvent('response.output_text.done', { item_id: item.id, output_index, content_index: 0, text: part.text })
+      writeEvent('response.content_part.done', { item_id: item.id, output_index, content_index: 0, part })
+    } else if (item.type === 'function_call') {
+      writeEvent('response.function_call_arguments.done', { item_id: item.id, output_index, arguments: item.arguments })
+    }
+
+    item.status = 'completed'
+    writeEvent('response.output_item.done', { output_index, item })
+    currentItem = null
+  }
+
+  // 打开新的输出条目
+  const openItem = (item) => {
+    closeItem()
+    currentItem = item
+    output.push(item)
+    const output_index = output.length - 1
+    writeEvent('response.output_item.added', { output_index, item: { ...item, status: 'in_progress' } })
+
+    if (item.type === 'reasoning') {
+      item.summary.push({ type: 'summary_text', text: '' })
+      writeEvent('response.reasoning_summary_part.added', { item_id: item.id, output_index, summary_index: 0, part: { type: 'summary_text', text: '' } })
+    } else if (item.type === 'message') {
+      item.content.push({ type: 'output_text', text: '', annotations: [] })
+      writeEvent('response.content_part.added', { item_id: item.id, output_index, content_index: 0, part: { type: 'output_text', text: '', annotations: [] } })
+    }
+  }
+
+  // 非流式响应按最终结果构建输出条目（结构化输出修复重试时只保留重试的结果）
+  const buildOutput = ({ thinking, text, toolCalls }) => {
+    const items = []
+    if (thinking) {
+      items.push({ id: createId('rs'), type: 'reasoning', summary: [{ type: 'summary_text', text: thinking }] })
+    }
+    if (text) {
+      items.push({
+        id: createId('msg'),
+        type: 'message',
+        status: 'completed',
+        role: 'assistant',
+        content: [{ type: 'output_text', text, annotations: [] }]
+      })
+    }
+    for (const call of toolCalls) {
+      items.push({ id: createId('fc'), type: 'function_call', status: 'completed', call_id: call.id, name: call.name, arguments: call.arguments })
+    }
+    return items
+  }
+
+  try {
+    logger.info(`用户 ${req.account.username} 开始处理 Responses 请求: ${ResponseID}, 流式模式: ${isStreamMode}`)
+
+    if (isStreamMode) {
+      res.setHeader('Content-Type', 'text/event-stream; charset=utf-8')
+      res.setHeader('Cache-Control', 'no-cache')
+      res.setHeader('Connection', 'keep-alive')
+      res.setHeader('X-Accel-Buffering', 'no')
+      res.flushHeaders()
+    }
+
+    await runCompletion(req, {
+      onStart() {
+        writeEvent('response.created', { response: buildResponse('in_progress') })
+        writeEvent('response.in_progress', { response: buildResponse('in_progress') })
+      },
+
+      onThinking(delta) {
+        if (!isStreamMode) return
+        if (currentItem?.type !== 'reasoning') {
+          openItem({ id: createId('rs'), type: 'reasoning', summary: [] })
+        }
+        currentItem.summary[0].text += delta
+        writeEvent('response.reasoning_summary_text.delta', { item_id: currentItem.id, output_index: output.length - 1, summary_index: 0, delta })
+      },
+
+      onText(delta) {
+        if (!isStreamMode) return
+        if (currentItem?.type !== 'message') {
+          openItem({ id: createId('msg'), type: 'message', status: 'in_progress', role: 'assistant', content: [] })
+        }
+        currentItem.content[0].text += delta
+        writeEvent('response.output_text.delta', { item_id: currentItem.id, output_index: output.length - 1, content_index: 0, delta })
+      },
+
+      onToolCall({ index, id, name, delta }) {
+        if (!isStreamMode) return
+        if (currentItem?.type !== 'function_call' || currentToolIndex !== index) {
+          openItem({ id: createId('fc'), type: 'function_call', status: 'in_progress', call_id: id, name, arguments: '' })
+          currentToolIndex = index
+        }
+        currentItem.arguments += delta
+        if (delta) {
+          writeEvent('response.function_call_arguments.delta', { item_id: currentItem.id, output_index: output.length - 1, delta })
+        }
+      },
+
+      onComplete({ thinking, text, toolCalls, finishReason, usage }) {
+        if (isStreamMode) {
+          closeItem()
+          // 以最终结果为准修正工具参数（上游可能整体改写过参数）
+          const calls = output.filter(item => item.type === 'function_call')
+          calls.forEach((item, i) => {
+            if (toolCalls[i]) item.arguments = toolCalls[i].arguments
+          })
+        } else {
+          output.push(...buildOutput({ thinking, text, toolCalls }))
+        }
+
+        // 被截断或被内容过滤的响应标记为 incomplete
+        const incompleteReason = INCOMPLETE_REASONS[finishReason]
+        const response = incompleteReason
+          ? buildResponse('incomplete', usage, { reason: incompleteReason })
+          : buildResponse('completed', usage)
+        if (!isStreamMode) {
+          return res.json({ ...response, output_text: text })
+        }
+
+        writeEvent(incompleteReason ? 'response.incomplete' : 'response.completed', { response })
+        res.end()
+        logger.info(`用户 ${req.account.username} Responses 流式响应已完成`)
+      },
+
+      onError(error, context) {
+        handleError(res, error, context)
+      }
+    })
+  } catch (error) {
+    logger.error(`用户 ${req.account.username} Responses 处理错误:`, error)
+    return handleError(res, error, 'Responses 服务错误')
+  }
+})
+
+// 中间件传出的错误（模型不存在、参数无效、消息处理失败等）
+router.use((error, req, res, next) => handleError(res, error, '请求处理失败'))
+
+module.exports = router
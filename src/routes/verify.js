@@ -1,46 +1,125 @@
 // src/routes/verify.js
-const axios = require('axios')
+const crypto = require('crypto')
+const accounts = require('../lib/accounts')
+const credentials = require('../lib/credentials')
+const { validatePromptLayerToken, getAccountInfo } = require('../lib/promptlayer')
+const logger = require('../lib/logger')
+
+// 代理自身的访问密钥，多个以逗号分隔
+const AUTH_TOKENS = (process.env.AUTH_TOKEN || '').split(',').map(token => token.trim()).filter(Boolean)
+
+// 认证模式：passthrough 调用方直接使用自己的 PromptLayer 密钥，pool 使用账户池，mixed 两者皆可
+function resolveAuthMode() {
+  const mode = process.env.AUTH_MODE
+  if (mode === 'passthrough' || mode === 'pool' || mode === 'mixed') {
+    return mode
+  }
+  return accounts.isConfigured() ? 'pool' : 'passthrough'
+}
+
+// 常量时间比较两个令牌：比较摘要以保证长度一致，避免通过响应时间猜测令牌
+function tokenEquals(token, expected) {
+  const digest = crypto.createHash('sha256').update(token).digest()
+  return crypto.timingSafeEqual(digest, crypto.createHash('sha256').update(expected).digest())
+}
+
+// 逐个比较全部密钥，匹配到后也不提前返回
+function matchesAuthToken(token) {
+  let matched = false
+  for (const authToken of AUTH_TOKENS) {
+    if (tokenEquals(token, authToken)) matched = true
+  }
+  return matched
+}
+
+// 认证失败交给各路由的错误处理中间件，按各自协议的格式输出
+function authError(message, status, type, code) {
+  const error = new Error(message)
+  error.status = status
+  error.type = type
+  error.code = code
+  return error
+}
+
+// 使用账户池时必须配置 AUTH_TOKEN，否则任何人都能使用池中的账户
+function assertAuthConfig() {
+  const mode = resolveAuthMode()
+  if (mode !== 'passthrough' && AUTH_TOKENS.length === 0) {
+    throw new Error(`认证模式为 ${mode} 时必须配置 AUTH_TOKEN`)
+  }
+}
 
 const verify = async (req, res, next) => {
   const authorization = req.headers.authorization
   if (!authorization) {
-    return res.status(401).json({ 
-      error: {
-        message: '缺少Authorization头',
-        type: 'authentication_error',
-        param: null,
-        code: 'missing_authorization'
-      }
-    })
+    return next(authError('缺少Authorization头', 401, 'authentication_error', 'missing_authorization'))
   }
 
   const access_token = authorization.replace('Bearer ', '')
+  const mode = resolveAuthMode()
+
+  // 认证通过后记录密钥标识（哈希，不保存原始密钥），供限流按调用方区分；认证失败时原样传出错误
+  const authenticated = (error) => {
+    if (error) return next(error)
+    req.authKeyId = crypto.createHash('sha256').update(access_token).digest('hex').slice(0, 16)
+    next()
+  }
+
+  // 账户池的账户在限流放行后才由 acquireAccount 分配，排队中的请求与只读接口不占用账户
+  if (mode !== 'passthrough') {
+    if (matchesAuthToken(access_token)) {
+      req.usesAccountPool = true
+      return authenticated()
+    }
+    if (mode === 'pool') {
+      return next(authError('无效的API密钥', 401, 'authentication_error', 'invalid_api_key'))
+    }
+  }
+
+  return usePassthroughAccount(req, res, authenticated, access_token)
+}
+
+// 从账户池分配账户，响应结束时归还；放在限流之后，使用自己密钥的请求已在认证时取得账户
+async function acquireAccount(req, res, next) {
+  if (!req.usesAccountPool) return next()
+
+  const account = await accounts.acquire()
+  if (!account) {
+    return next(authError('账户池中暂无可用账户', 503, 'service_unavailable', 'no_available_account'))
+  }
+
+  let released = false
+  res.on('close', () => {
+    if (released) return
+    released = true
+    accounts.release(account)
+  })
+
+  req.account = account
+  logger.info(`账户池分配账户 ${account.username}`)
+  next()
+}
+
+// 使用调用方自己的 PromptLayer 密钥
+async function usePassthroughAccount(req, res, next, access_token) {
+  // 命中凭据缓存时直接放行
+  const cached = credentials.get(access_token)
+  if (cached) {
+    req.account = cached
+    return next()
+  }
 
   try {
     // 验证用户的 PromptLayer access_token 是否有效
     const userInfo = await validatePromptLayerToken(access_token)
     if (!userInfo) {
-      return res.status(401).json({ 
-        error: {
-          message: '无效的PromptLayer API密钥',
-          type: 'authentication_error',
-          param: null,
-          code: 'invalid_api_key'
-        }
-      })
+      return next(authError('无效的PromptLayer API密钥', 401, 'authentication_error', 'invalid_api_key'))
     }
 
     // 获取用户的工作空间和WebSocket访问令牌
     const accountInfo = await getAccountInfo(access_token)
     if (!accountInfo) {
-      return res.status(503).json({ 
-        error: {
-          message: '无法获取账户信息',
-          type: 'service_unavailable',
-          param: null,
-          code: 'account_unavailable'
-        }
-      })
+      return next(authError('无法获取账户信息', 503, 'service_unavailable', 'account_unavailable'))
     }
 
     // 将账户信息附加到请求对象
@@ -51,108 +130,25 @@ const verify = async (req, res, next) => {
       workspaceId: accountInfo.workspaceId,
       username: userInfo.email || userInfo.name || '用户'  // 从用户信息获取邮箱或名称
     }
+    credentials.set(access_token, { ...req.account, ws_expires: accountInfo.ws_expires })
 
-    console.log(`用户 ${req.account.username} 认证成功`)
+    logger.info(`用户 ${req.account.username} 认证成功`)
     next()
   } catch (error) {
-    console.error('认证过程中出错:', error)
+    logger.error('认证过程中出错:', error)
     
     // 根据错误类型返回适当的状态码
     if (error.response?.status === 401) {
-      return res.status(401).json({ 
-        error: {
-          message: '无效的PromptLayer API密钥',
-          type: 'authentication_error',
-          param: null,
-          code: 'invalid_api_key'
-        }
-      })
+      return next(authError('无效的PromptLayer API密钥', 401, 'authentication_error', 'invalid_api_key'))
     } else if (error.response?.status === 403) {
-      return res.status(403).json({ 
-        error: {
-          message: 'PromptLayer账户权限不足',
-          type: 'permission_error',
-          param: null,
-          code: 'insufficient_permissions'
-        }
-      })
+      return next(authError('PromptLayer账户权限不足', 403, 'permission_error', 'insufficient_permissions'))
     } else {
-      return res.status(503).json({ 
-        error: {
-          message: '服务暂时不可用，认证服务异常',
-          type: 'service_unavailable',
-          param: null,
-          code: 'internal_error'
-        }
-      })
+      return next(authError('服务暂时不可用，认证服务异常', 503, 'service_unavailable', 'internal_error'))
     }
   }
 }
 
-// 验证 PromptLayer access_token 有效性并获取用户信息
-async function validatePromptLayerToken(access_token) {
-  try {
-    const response = await axios.get('https://api.promptlayer.com/get-user', {
-      headers: {
-        'Authorization': `Bearer ${access_token}`,
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/136.0.0.0 Safari/537.36'
-      },
-      timeout: 10000
-    })
-    
-    // 根据实际返回格式检查：直接返回用户对象，包含 id、email 等字段
-    if (response.data && response.data.id && response.data.email) {
-      return response.data  // 直接返回用户信息对象
-    }
-    return null
-  } catch (error) {
-    console.error('验证PromptLayer access_token失败:', error.message)
-    throw error
-  }
-}
-
-// 获取用户的账户信息（workspaceId、clientId等）
-async function getAccountInfo(access_token) {
-  try {
-    // 获取 WebSocket 访问令牌和 clientId
-    const wsTokenResponse = await axios.post('https://api.promptlayer.com/ws-token-request', null, {
-      headers: {
-        'Authorization': `Bearer ${access_token}`,
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/136.0.0.0 Safari/537.36'
-      },
-      timeout: 10000
-    })
-
-    if (!wsTokenResponse.data.success) {
-      throw new Error('获取WebSocket令牌失败')
-    }
-
-    const { token: ws_token, clientId } = wsTokenResponse.data.token_details
-
-    // 获取工作空间ID
-    const workspacesResponse = await axios.get('https://api.promptlayer.com/workspaces', {
-      headers: {
-        'Authorization': `Bearer ${access_token}`,
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/136.0.0.0 Safari/537.36'
-      },
-      timeout: 10000
-    })
-
-    if (!workspacesResponse.data.success || workspacesResponse.data.workspaces.length === 0) {
-      throw new Error('获取工作空间失败')
-    }
-
-    const workspaceId = workspacesResponse.data.workspaces[0].id
-
-    return {
-      ws_token,
-      clientId,
-      workspaceId
-    }
-  } catch (error) {
-    console.error('获取账户信息失败:', error.message)
-    throw error
-  }
-}
-
-module.exports = verify
\ No newline at end of file
+module.exports = verify
+module.exports.assertAuthConfig = assertAuthConfig
+module.exports.acquireAccount = acquireAccount
+module.exports.tokenEquals = tokenEquals
\ No newline at end of file
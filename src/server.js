@@ -1,7 +1,19 @@
+require('dotenv').config()
 const express = require('express')
 const modelsRoute = require('./routes/models')
 const chatRoute = require('./routes/chat')
-require('dotenv').config()
+const messagesRoute = require('./routes/messages')
+const responsesRoute = require('./routes/responses')
+const completionsRoute = require('./routes/completions')
+const metricsRoute = require('./routes/metrics')
+const healthRoute = require('./routes/health')
+const rateLimitsRoute = require('./routes/rate-limits')
+const verify = require('./routes/verify')
+const accounts = require('./lib/accounts')
+const modelRegistry = require('./lib/model-registry')
+const metrics = require('./lib/metrics')
+const health = require('./lib/health')
+const logger = require('./lib/logger')
 
 // 创建 Express 应用
 const app = express()
@@ -9,24 +21,72 @@ const app = express()
 // 中间件配置
 app.use(express.json({ limit: "100mb" }))
 app.use(express.urlencoded({ limit: "100mb", extended: true }))
+app.use(logger.middleware)
+app.use(metrics.middleware)
 
 
 // 错误处理
 app.use((err, req, res, next) => {
-  console.error(err.stack)
+  logger.error('服务器错误:', err)
   res.status(500).send('服务器错误')
 })
 
 // 注册路由
 app.use(modelsRoute)
 app.use(chatRoute)
+app.use(messagesRoute)
+app.use(responsesRoute)
+app.use(completionsRoute)
+app.use(metricsRoute)
+app.use(healthRoute)
+app.use(rateLimitsRoute)
 
 // 初始化账户系统并启动服务器
 const PORT = process.env.PORT || 3000
+// 收到终止信号后，先让就绪检查失败一段时间供负载均衡摘除，再停止接收新连接
+const SHUTDOWN_DELAY_MS = parseInt(process.env.SHUTDOWN_DELAY_MS, 10) >= 0 ? parseInt(process.env.SHUTDOWN_DELAY_MS, 10) : 5000
+// 等待进行中请求完成的最长时间
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS, 10) || 30000
+
+// 配置错误时拒绝启动
+try {
+  verify.assertAuthConfig()
+} catch (error) {
+  logger.error(`启动失败: ${error.message}`)
+  process.exit(1)
+}
+
+const server = app.listen(PORT, () => {
+  logger.info(`服务器运行在 http://localhost:${PORT}`)
+})
+
+// 优雅关闭
+function shutdown(signal) {
+  if (health.isShuttingDown()) return
+  health.startShutdown()
+  logger.info(`收到 ${signal}，${SHUTDOWN_DELAY_MS}ms 后停止接收新请求`)
+
+  setTimeout(() => {
+    server.close(() => {
+      logger.info('进行中的请求已完成，退出')
+      process.exit(0)
+    })
+    server.closeIdleConnections()
+    setTimeout(() => {
+      logger.warn(`等待进行中的请求超过 ${SHUTDOWN_TIMEOUT_MS}ms，强制退出`)
+      process.exit(1)
+    }, SHUTDOWN_TIMEOUT_MS).unref()
+  }, SHUTDOWN_DELAY_MS)
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'))
+process.on('SIGINT', () => shutdown('SIGINT'))
 
+// 加载模型表并监听变更（文件修改或 SIGHUP 时热加载）
+modelRegistry.watch()
 
-app.listen(PORT, () => {
-  console.log(`服务器运行在 http://localhost:${PORT}`)
+accounts.init().catch(error => {
+  logger.error('账户池初始化失败:', error)
 })
 
 
@@ -0,0 +1,86 @@
+// test/accounts.test.js
+// 账户池：初始化、轮询调度、出错后的冷却与恢复（账户通过模拟上游登录与验证）
+
+const { test, before } = require('node:test')
+const assert = require('node:assert/strict')
+const { startMock } = require('./helpers')
+
+const COOLDOWN_MS = 300
+
+let accounts
+
+before(async () => {
+  const mockUrl = await startMock()
+  Object.assign(process.env, {
+    LOG_LEVEL: 'silent',
+    PROMPTLAYER_API_URL: mockUrl,
+    // 两个 API Key、一个邮箱密码登录的账户，以及一个无效的 API Key
+    ACCOUNTS: 'pool-key-a,pool-key-b,carol@example.com:secret,invalid-key',
+    ACCOUNTS_FILE: '',
+    ACCOUNT_STRATEGY: 'round_robin',
+    ACCOUNT_COOLDOWN_MS: String(COOLDOWN_MS)
+  })
+  accounts = require('../src/lib/accounts')
+  await accounts.init()
+})
+
+test('初始化：无效账户标记为不可用并进入冷却', () => {
+  const status = accounts.getStatus()
+  assert.equal(status.length, 4)
+  assert.deepEqual(status.map(account => account.healthy), [true, true, true, false])
+  assert.equal(status[3].available, false)
+  assert.ok(status[3].cooldown_until)
+  assert.equal(status[3].failures, 1)
+})
+
+test('轮询：依次分配可用账户并跳过冷却中的账户', async () => {
+  const acquired = []
+  for (let i = 0; i < 4; i++) {
+    acquired.push(await accounts.acquire())
+  }
+  const [a, b, c, again] = acquired
+  assert.equal(new Set([a, b, c].map(account => account.username)).size, 3)
+  assert.equal(again, a)
+  assert.equal(accounts.getStatus()[0].in_flight, 2)
+
+  acquired.forEach(account => accounts.release(account))
+  assert.deepEqual(accounts.getStatus().map(account => account.in_flight), [0, 0, 0, 0])
+})
+
+test('冷却：上游返回 429 的账户暂停调度，冷却结束后重新验证并恢复', async () => {
+  const limited = await accounts.acquire()
+  accounts.release(limited)
+  accounts.reportError(limited, { status: 429, message: 'rate limited' })
+
+  const index = accounts.getStatus().findIndex(account => account.username === limited.username)
+  assert.equal(accounts.getStatus()[index].available, false)
+  assert.equal(accounts.getStatus()[index].last_error, 'rate limited')
+
+  // 冷却期间轮询不会分配该账户
+  for (let i = 0; i < 4; i++) {
+    const account = await accounts.acquire()
+    assert.notEqual(account, limited)
+    accounts.release(account)
+  }
+
+  await new Promise(resolve => setTimeout(resolve, COOLDOWN_MS + 50))
+  const recovered = []
+  for (let i = 0; i < 3; i++) {
+    recovered.push(await accounts.acquire())
+  }
+  recovered.forEach(account => accounts.release(account))
+  assert.ok(recovered.includes(limited))
+  assert.equal(limited.healthy, true)
+
+  // 无效账户冷却结束后重新验证仍失败，再次进入冷却
+  const invalid = accounts.getStatus()[3]
+  assert.equal(invalid.healthy, false)
+  assert.equal(invalid.failures, 2)
+})
+
+test('客户端错误（如 400）不影响账户状态', async () => {
+  const account = await accounts.acquire()
+  accounts.release(account)
+  accounts.reportError(account, { status: 400 })
+  assert.equal(account.healthy, true)
+})
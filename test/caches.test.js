@@ -0,0 +1,78 @@
+// test/caches.test.js
+// 上传缓存：按最近使用淘汰、过期失效与持久化恢复
+
+const { test, before, after } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('node:fs')
+const os = require('node:os')
+const path = require('node:path')
+
+const MAX_ENTRIES = 3
+// 略长于写盘合并间隔（1 秒），使条目在写盘后仍未过期
+const TTL_MS = 1500
+const CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'upload-cache-'))
+const CACHE_FILE = path.join(CACHE_DIR, 'cache.json')
+
+let caches
+
+// 重新加载模块，模拟进程重启
+function loadCaches() {
+  delete require.cache[require.resolve('../src/lib/caches')]
+  return require('../src/lib/caches')
+}
+
+before(() => {
+  Object.assign(process.env, {
+    LOG_LEVEL: 'silent',
+    IMAGE_CACHE_MAX_ENTRIES: String(MAX_ENTRIES),
+    IMAGE_CACHE_TTL_MS: String(TTL_MS),
+    IMAGE_CACHE_FILE: CACHE_FILE
+  })
+  caches = loadCaches()
+})
+
+after(() => {
+  fs.rmSync(CACHE_DIR, { recursive: true, force: true })
+})
+
+test('超出上限时淘汰最久未使用的条目', () => {
+  caches.addImage('a', 'https://files.test/a')
+  caches.addImage('b', 'https://files.test/b')
+  caches.addImage('c', 'https://files.test/c')
+
+  // 访问 a 后，最久未使用的是 b
+  assert.equal(caches.getImageUrl('a'), 'https://files.test/a')
+  caches.addImage('d', 'https://files.test/d')
+
+  assert.equal(caches.getImageUrl('b'), null)
+  assert.equal(caches.getImageUrl('a'), 'https://files.test/a')
+  assert.equal(caches.getImageUrl('c'), 'https://files.test/c')
+  assert.equal(caches.getImageUrl('d'), 'https://files.test/d')
+  assert.deepEqual(caches.getStats(), { size: MAX_ENTRIES, hits: 4, misses: 1 })
+})
+
+test('相同内容的哈希一致', () => {
+  assert.equal(caches.computeHash(Buffer.from('same')), caches.computeHash(Buffer.from('same')))
+  assert.notEqual(caches.computeHash(Buffer.from('same')), caches.computeHash(Buffer.from('other')))
+})
+
+test('写盘后重启可恢复未过期的条目', async () => {
+  caches.addImage('persisted', 'https://files.test/persisted')
+  // 写盘合并间隔为 1 秒
+  await new Promise(resolve => setTimeout(resolve, 1200))
+  assert.ok(fs.existsSync(CACHE_FILE))
+
+  const restored = loadCaches()
+  assert.equal(restored.getImageUrl('persisted'), 'https://files.test/persisted')
+  assert.ok(restored.getStats().size <= MAX_ENTRIES)
+})
+
+test('过期条目不再返回，重启时也不会恢复', async () => {
+  caches.addImage('expiring', 'https://files.test/expiring')
+  assert.equal(caches.hasImage('expiring'), true)
+
+  await new Promise(resolve => setTimeout(resolve, TTL_MS + 50))
+  assert.equal(caches.hasImage('expiring'), false)
+  assert.equal(caches.getImageUrl('expiring'), null)
+  assert.equal(loadCaches().getImageUrl('persisted'), null)
+})
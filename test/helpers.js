@@ -0,0 +1,213 @@
+// test/helpers.js
+// 测试共用工具：在空闲端口上启动模拟上游 mock/server.js 与代理，发送请求并解析 SSE
+
+const { after } = require('node:test')
+const { spawn } = require('node:child_process')
+const net = require('node:net')
+const path = require('node:path')
+
+const ROOT = path.join(__dirname, '..')
+const MODEL = 'claude-sonnet-4-20250514'
+const START_TIMEOUT_MS = 10000
+
+// 不继承本地 .env 中的账户、限流等配置（dotenv 不覆盖已存在的变量）
+const ISOLATED_ENV = {
+  LOG_LEVEL: 'silent',
+  ACCOUNTS: '',
+  ACCOUNTS_FILE: '',
+  AUTH_MODE: 'passthrough',
+  AUTH_TOKEN: '',
+  RATE_LIMIT_RPM: '',
+  RATE_LIMIT_CONCURRENCY: '',
+  RATE_LIMIT_TPM: '',
+  RATE_LIMIT_QUEUE_SIZE: '',
+  RATE_LIMIT_QUEUE_TIMEOUT_MS: '',
+  GLOBAL_RATE_LIMIT_RPM: '',
+  GLOBAL_RATE_LIMIT_CONCURRENCY: '',
+  GLOBAL_RATE_LIMIT_TPM: '',
+  IMAGE_CACHE_FILE: '',
+  MODELS_FILE: '',
+  METRICS_TOKEN: '',
+  READY_PROBE_TOKEN: '',
+  READY_CHECKS: '',
+  SESSION_REUSE: 'false',
+  SESSION_CLEANUP: 'false',
+  REASONING_MODE: 'reasoning_content',
+  SHUTDOWN_DELAY_MS: '0'
+}
+
+const children = []
+
+// 每个测试文件结束时停止它启动的子进程
+after(() => {
+  for (const child of children) {
+    if (child.exitCode === null) child.kill()
+  }
+})
+
+// 由系统分配一个空闲端口
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer()
+    server.unref()
+    server.on('error', reject)
+    server.listen(0, () => {
+      const { port } = server.address()
+      server.close(() => resolve(port))
+    })
+  })
+}
+
+function start(script, env) {
+  const child = spawn(process.execPath, [script], {
+    cwd: ROOT,
+    env: { ...process.env, ...ISOLATED_ENV, ...env },
+    stdio: ['ignore', 'ignore', 'pipe']
+  })
+  let stderr = ''
+  child.stderr.on('data', chunk => { stderr += chunk })
+  child.on('exit', code => {
+    if (code) process.stderr.write(`${script} 异常退出 (${code}):\n${stderr}\n`)
+  })
+  children.push(child)
+  return child
+}
+
+// 轮询直到端口可以连接
+async function waitForPort(port) {
+  const deadline = Date.now() + START_TIMEOUT_MS
+  while (Date.now() < deadline) {
+    const connected = await new Promise(resolve => {
+      const socket = net.connect(port, '127.0.0.1', () => {
+        socket.end()
+        resolve(true)
+      })
+      socket.on('error', () => resolve(false))
+    })
+    if (connected) return
+    await new Promise(resolve => setTimeout(resolve, 100))
+  }
+  throw new Error(`端口 ${port} 在 ${START_TIMEOUT_MS}ms 内未就绪`)
+}
+
+// 启动模拟上游，返回其地址
+async function startMock(env = {}) {
+  const port = await freePort()
+  start('mock/server.js', { MOCK_PORT: String(port), MOCK_STEP_DELAY_MS: '5', MOCK_SCENARIO: 'text', ...env })
+  await waitForPort(port)
+  return `http://127.0.0.1:${port}`
+}
+
+// 启动连接到 mockUrl 的代理，返回其地址
+async function startProxy(mockUrl, env = {}) {
+  const port = await freePort()
+  start('src/server.js', {
+    PORT: String(port),
+    PROMPTLAYER_API_URL: mockUrl,
+    ABLY_REALTIME_URL: mockUrl.replace(/^http/, 'ws'),
+    ...env
+  })
+  await waitForPort(port)
+  return `http://127.0.0.1:${port}`
+}
+
+/**
+ * 请求代理的客户端，启动代理后设置 baseUrl
+ * 默认使用 key 认证，options.headers 可覆盖或追加请求头
+ */
+function createClient(key = 'test-key') {
+  const client = { baseUrl: null }
+
+  // 返回原始响应，用于逐块读取或中途断开
+  client.fetch = (method, route, body, { headers = {}, signal } = {}) => fetch(client.baseUrl + route, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${key}`, ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+    signal
+  })
+
+  client.request = async (method, route, body, options) => {
+    const response = await client.fetch(method, route, body, options)
+    const text = await response.text()
+    return { status: response.status, headers: response.headers, text }
+  }
+
+  client.get = (route, options) => client.request('GET', route, undefined, options)
+
+  client.post = (route, body, options) => client.request('POST', route, body, options)
+
+  client.postJson = async (route, body, options) => {
+    const { status, headers, text } = await client.post(route, body, options)
+    return { status, headers, body: JSON.parse(text) }
+  }
+
+  // 读取 SSE 的 data 行，[DONE] 之前的每行解析为 JSON
+  client.postStream = async (route, body, options) => {
+    const { status, text } = await client.post(route, { ...body, stream: true }, options)
+    const events = text.split('\n')
+      .filter(line => line.startsWith('data: '))
+      .map(line => line.slice(6))
+    const done = events[events.length - 1] === '[DONE]'
+    return { status, done, chunks: events.filter(data => data !== '[DONE]').map(data => JSON.parse(data)) }
+  }
+
+  return client
+}
+
+// 模拟上游各接口的累计调用次数
+async function mockStats(mockUrl) {
+  const response = await fetch(`${mockUrl}/mock/stats`)
+  return response.json()
+}
+
+// 轮询直到 check 返回真值
+async function waitFor(check, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs
+  while (Date.now() < deadline) {
+    if (await check()) return true
+    await new Promise(resolve => setTimeout(resolve, 50))
+  }
+  return false
+}
+
+function chat(scenario, content = 'hello', extra = {}) {
+  return { model: MODEL, messages: [{ role: 'user', content: `[mock:${scenario}] ${content}` }], ...extra }
+}
+
+// 合并流式增量
+function collectStream(chunks) {
+  const result = { content: '', reasoning: '', toolCalls: [], finishReason: null, error: null }
+  for (const chunk of chunks) {
+    if (chunk.error) {
+      result.error = chunk.error
+      continue
+    }
+    const choice = chunk.choices[0]
+    if (!choice) continue
+    result.content += choice.delta.content || ''
+    result.reasoning += choice.delta.reasoning_content || ''
+    for (const call of choice.delta.tool_calls || []) {
+      if (!result.toolCalls[call.index]) {
+        result.toolCalls[call.index] = { id: call.id, name: call.function.name, arguments: '' }
+      }
+      result.toolCalls[call.index].arguments += call.function.arguments || ''
+    }
+    if (choice.finish_reason) result.finishReason = choice.finish_reason
+  }
+  return result
+}
+
+const TOOLS = [{ type: 'function', function: { name: 'lookup', parameters: { type: 'object' } } }]
+
+module.exports = {
+  MODEL,
+  TOOLS,
+  freePort,
+  startMock,
+  startProxy,
+  createClient,
+  mockStats,
+  waitFor,
+  chat,
+  collectStream
+}
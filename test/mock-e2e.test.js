@@ -0,0 +1,249 @@
+// test/mock-e2e.test.js
+// 端到端测试：启动模拟上游 mock/server.js 与代理，逐个场景检查流式与非流式输出
+
+const { test, before } = require('node:test')
+const assert = require('node:assert/strict')
+const { MODEL, TOOLS, startMock, startProxy, createClient, mockStats, waitFor, chat, collectStream } = require('./helpers')
+
+const api = createClient()
+let mockUrl
+
+// 使用其他密钥访问同一个代理
+function withKey(key) {
+  const client = createClient(key)
+  client.baseUrl = api.baseUrl
+  return client
+}
+
+before(async () => {
+  mockUrl = await startMock()
+  api.baseUrl = await startProxy(mockUrl)
+})
+
+test('text', async () => {
+  const { status, body } = await api.postJson('/v1/chat/completions', chat('text', 'hello'))
+  assert.equal(status, 200)
+  assert.equal(body.choices[0].message.content, 'Mock response to: hello')
+  assert.equal(body.choices[0].finish_reason, 'stop')
+  assert.ok(body.usage.total_tokens > 0)
+
+  const stream = await api.postStream('/v1/chat/completions', chat('text', 'hello'))
+  assert.equal(stream.status, 200)
+  assert.ok(stream.done)
+  const result = collectStream(stream.chunks)
+  assert.equal(result.content, 'Mock response to: hello')
+  assert.equal(result.finishReason, 'stop')
+})
+
+test('tool', async () => {
+  const { status, body } = await api.postJson('/v1/chat/completions', chat('tool', 'weather', { tools: TOOLS }))
+  assert.equal(status, 200)
+  const [call] = body.choices[0].message.tool_calls
+  assert.equal(call.function.name, 'lookup')
+  assert.deepEqual(JSON.parse(call.function.arguments), { query: 'weather' })
+  assert.equal(body.choices[0].finish_reason, 'tool_calls')
+
+  const stream = await api.postStream('/v1/chat/completions', chat('tool', 'weather', { tools: TOOLS }))
+  const result = collectStream(stream.chunks)
+  assert.equal(result.toolCalls.length, 1)
+  assert.equal(result.toolCalls[0].name, 'lookup')
+  assert.deepEqual(JSON.parse(result.toolCalls[0].arguments), { query: 'weather' })
+  assert.equal(result.finishReason, 'tool_calls')
+})
+
+test('thinking', async () => {
+  const { status, body } = await api.postJson('/v1/chat/completions', chat('thinking', 'hi'))
+  assert.equal(status, 200)
+  assert.equal(body.choices[0].message.reasoning_content, 'Let me think about this request step by step.')
+  assert.equal(body.choices[0].message.content, 'After thinking: hi')
+
+  const stream = await api.postStream('/v1/chat/completions', chat('thinking', 'hi'))
+  const result = collectStream(stream.chunks)
+  assert.equal(result.reasoning, 'Let me think about this request step by step.')
+  assert.equal(result.content, 'After thinking: hi')
+  assert.equal(result.finishReason, 'stop')
+})
+
+test('json', async () => {
+  const request = chat('json', 'data', { response_format: { type: 'json_object' } })
+  const { status, body } = await api.postJson('/v1/chat/completions', request)
+  assert.equal(status, 200)
+  assert.deepEqual(JSON.parse(body.choices[0].message.content), { answer: 'data', ok: true })
+
+  const stream = await api.postStream('/v1/chat/completions', request)
+  const result = collectStream(stream.chunks)
+  assert.equal(result.error, null)
+  assert.deepEqual(JSON.parse(result.content), { answer: 'data', ok: true })
+})
+
+test('thinking 与 json_object：思考内容不内联到 content', async () => {
+  const request = chat('thinking', 'hi', { response_format: { type: 'json_object' } })
+  const inline = { headers: { 'X-Reasoning-Mode': 'think' } }
+  const { status, body } = await api.postJson('/v1/chat/completions', request, inline)
+  assert.equal(status, 200)
+  assert.deepEqual(JSON.parse(body.choices[0].message.content), { answer: 'hi', ok: true })
+  assert.equal(body.choices[0].message.reasoning_content, 'Let me think about this request step by step.')
+
+  const stream = await api.postStream('/v1/chat/completions', request, inline)
+  const result = collectStream(stream.chunks)
+  assert.deepEqual(JSON.parse(result.content), { answer: 'hi', ok: true })
+  assert.equal(result.reasoning, 'Let me think about this request step by step.')
+})
+
+test('error', async () => {
+  const { status, body } = await api.postJson('/v1/chat/completions', chat('error'))
+  assert.equal(status, 502)
+  assert.equal(body.error.code, 'upstream_run_failed')
+  assert.equal(body.error.message, 'Mock upstream provider error')
+
+  const stream = await api.postStream('/v1/chat/completions', chat('error'))
+  const result = collectStream(stream.chunks)
+  assert.ok(stream.done)
+  assert.equal(result.error.message, 'Mock upstream provider error')
+  assert.equal(result.finishReason, null)
+})
+
+test('length', async () => {
+  const { status, body } = await api.postJson('/v1/chat/completions', chat('length', 'x'))
+  assert.equal(status, 200)
+  assert.equal(body.choices[0].message.content, 'Truncated mock response to: x')
+  assert.equal(body.choices[0].finish_reason, 'length')
+
+  const stream = await api.postStream('/v1/chat/completions', chat('length', 'x'))
+  assert.equal(collectStream(stream.chunks).finishReason, 'length')
+})
+
+test('refusal', async () => {
+  const { status, body } = await api.postJson('/v1/chat/completions', chat('refusal'))
+  assert.equal(status, 200)
+  assert.equal(body.choices[0].message.content, null)
+  assert.equal(body.choices[0].finish_reason, 'content_filter')
+
+  const stream = await api.postStream('/v1/chat/completions', chat('refusal'))
+  const result = collectStream(stream.chunks)
+  assert.equal(result.content, '')
+  assert.equal(result.finishReason, 'content_filter')
+})
+
+test('rate_limit', async () => {
+  const { status, body } = await api.postJson('/v1/chat/completions', chat('rate_limit'))
+  assert.equal(status, 429)
+  assert.equal(body.error.type, 'rate_limit_error')
+  assert.equal(body.error.message, 'Mock provider rate limit exceeded')
+
+  const stream = await api.postStream('/v1/chat/completions', chat('rate_limit'))
+  const result = collectStream(stream.chunks)
+  assert.equal(result.error.message, 'Mock provider rate limit exceeded')
+})
+
+test('empty', async () => {
+  const { status, body } = await api.postJson('/v1/chat/completions', chat('empty'))
+  assert.equal(status, 502)
+  assert.equal(body.error.code, 'empty_response')
+
+  const stream = await api.postStream('/v1/chat/completions', chat('empty'))
+  const result = collectStream(stream.chunks)
+  assert.ok(stream.done)
+  assert.equal(result.error.type, 'upstream_error')
+})
+
+test('Messages 与 Responses 的结束原因', async () => {
+  const messages = await api.postJson('/v1/messages', { model: MODEL, max_tokens: 100, messages: [{ role: 'user', content: '[mock:length] x' }] })
+  assert.equal(messages.status, 200)
+  assert.equal(messages.body.stop_reason, 'max_tokens')
+
+  const responses = await api.postJson('/v1/responses', { model: MODEL, input: '[mock:refusal] x' })
+  assert.equal(responses.status, 200)
+  assert.equal(responses.body.status, 'incomplete')
+  assert.deepEqual(responses.body.incomplete_details, { reason: 'content_filter' })
+})
+
+test('Completions 多个 prompt', async () => {
+  const { status, body } = await api.postJson('/v1/completions', { model: MODEL, n: 2, prompt: ['[mock:text] a', '[mock:length] b'] })
+  assert.equal(status, 200)
+  assert.deepEqual(body.choices.map(choice => [choice.index, choice.finish_reason]), [[0, 'stop'], [1, 'stop'], [2, 'length'], [3, 'length']])
+  assert.equal(body.choices[2].text, 'Truncated mock response to: b')
+})
+
+test('参数校验：超出范围或供应商不支持的参数返回 400', async () => {
+  const cases = [
+    [{ temperature: 1.5 }, 'temperature'],
+    [{ top_p: -1 }, 'top_p'],
+    [{ seed: 1 }, 'seed'],
+    [{ thinking: { type: 'enabled', budget_tokens: 2048 }, max_tokens: 1000 }, 'max_tokens'],
+    [{ response_format: { type: 'xml' } }, 'response_format']
+  ]
+  for (const [extra, param] of cases) {
+    const { status, body } = await api.postJson('/v1/chat/completions', chat('text', 'x', extra))
+    assert.equal(status, 400, param)
+    assert.equal(body.error.type, 'invalid_request_error')
+    assert.equal(body.error.param, param)
+  }
+
+  // Messages API 以 Anthropic 格式返回
+  const messages = await api.postJson('/v1/messages', { model: MODEL, max_tokens: 100, temperature: 3, messages: [{ role: 'user', content: 'x' }] })
+  assert.equal(messages.status, 400)
+  assert.equal(messages.body.type, 'error')
+  assert.equal(messages.body.error.type, 'invalid_request_error')
+})
+
+test('凭据缓存：同一密钥只向上游验证一次，无效密钥不缓存', async () => {
+  const client = withKey('credential-cache-key')
+  const before = await mockStats(mockUrl)
+  for (let i = 0; i < 3; i++) {
+    const { status } = await client.postJson('/v1/chat/completions', chat('text'))
+    assert.equal(status, 200)
+  }
+  assert.equal((await mockStats(mockUrl)).userLookups - before.userLookups, 1)
+
+  const invalid = withKey('invalid-key')
+  for (let i = 0; i < 2; i++) {
+    const { status, body } = await invalid.postJson('/v1/chat/completions', chat('text'))
+    assert.equal(status, 401)
+    assert.equal(body.error.code, 'invalid_api_key')
+  }
+})
+
+test('同一账户的并发请求共用一条 WebSocket 连接', async () => {
+  const client = withKey('shared-connection-key')
+  // 先完成认证，避免并发请求同时验证密钥
+  await client.postJson('/v1/chat/completions', chat('text'))
+  const before = await mockStats(mockUrl)
+
+  const results = await Promise.all(['a', 'b', 'c'].map(prompt => client.postJson('/v1/chat/completions', chat('text', prompt))))
+  results.forEach(({ status, body }, index) => {
+    assert.equal(status, 200)
+    assert.equal(body.choices[0].message.content, `Mock response to: ${['a', 'b', 'c'][index]}`)
+  })
+  assert.equal((await mockStats(mockUrl)).connections, before.connections)
+})
+
+test('客户端断开时取消上游运行', async () => {
+  const client = withKey('cancel-key')
+  const before = await mockStats(mockUrl)
+  const controller = new AbortController()
+  const response = await client.fetch('POST', '/v1/chat/completions', chat('slow', 'x', { stream: true }), { signal: controller.signal })
+  assert.equal(response.status, 200)
+
+  // 收到首个数据块（运行已创建）后断开
+  await response.body.getReader().read()
+  controller.abort()
+
+  assert.ok(await waitFor(async () => (await mockStats(mockUrl)).cancels === before.cancels + 1))
+  assert.equal((await mockStats(mockUrl)).runs, before.runs + 1)
+})
+
+test('/health 与 /ready', async () => {
+  const health = await api.get('/health')
+  assert.equal(health.status, 200)
+  assert.equal(JSON.parse(health.text).status, 'ok')
+
+  const { status, text } = await api.get('/ready')
+  const body = JSON.parse(text)
+  assert.equal(status, 200)
+  assert.equal(body.ready, true)
+  assert.equal(body.checks.registry.status, 'ok')
+  assert.equal(body.checks.upstream.status, 'ok')
+  // 没有账户池与 READY_PROBE_TOKEN 时无法探测 WebSocket
+  assert.equal(body.checks.websocket.status, 'skipped')
+})
@@ -0,0 +1,112 @@
+// test/proxy-config.test.js
+// 需要额外配置才会启用的功能：限流与排队、指标鉴权、会话复用、就绪检查失败
+
+const { test, before } = require('node:test')
+const assert = require('node:assert/strict')
+const { freePort, startMock, startProxy, createClient, mockStats, chat } = require('./helpers')
+
+const METRICS_TOKEN = 'metrics-secret'
+
+let mockUrl
+let baseUrl
+
+function withKey(key) {
+  const client = createClient(key)
+  client.baseUrl = baseUrl
+  return client
+}
+
+before(async () => {
+  // 每段推送间隔 100ms，一次 text 运行约需 0.5 秒，便于观察排队
+  mockUrl = await startMock({ MOCK_STEP_DELAY_MS: '100' })
+  baseUrl = await startProxy(mockUrl, {
+    RATE_LIMIT_RPM: '3',
+    RATE_LIMIT_CONCURRENCY: '1',
+    RATE_LIMIT_QUEUE_SIZE: '1',
+    METRICS_TOKEN,
+    SESSION_REUSE: 'true'
+  })
+})
+
+test('限流：超出每分钟请求数返回 429', async () => {
+  const client = withKey('rpm-key')
+  for (let i = 0; i < 3; i++) {
+    const { status, headers } = await client.postJson('/v1/chat/completions', chat('text'))
+    assert.equal(status, 200)
+    assert.equal(headers.get('x-ratelimit-remaining-requests'), String(2 - i))
+  }
+
+  const { status, headers, body } = await client.postJson('/v1/chat/completions', chat('text'))
+  assert.equal(status, 429)
+  assert.equal(body.error.type, 'rate_limit_error')
+  assert.equal(body.error.code, 'rate_limit_exceeded')
+  assert.ok(Number(headers.get('retry-after')) > 0)
+
+  // 其他密钥不受影响
+  assert.equal((await withKey('rpm-other-key').postJson('/v1/chat/completions', chat('text'))).status, 200)
+})
+
+test('限流：超出并发上限时排队，队列已满返回 429', async () => {
+  const client = withKey('queue-key')
+  const first = client.postJson('/v1/chat/completions', chat('text', 'first'))
+  await new Promise(resolve => setTimeout(resolve, 100))
+  const queued = client.postJson('/v1/chat/completions', chat('text', 'queued'))
+  await new Promise(resolve => setTimeout(resolve, 100))
+
+  const rejected = await client.postJson('/v1/chat/completions', chat('text', 'rejected'))
+  assert.equal(rejected.status, 429)
+  assert.match(rejected.body.error.message, /并发/)
+
+  const results = await Promise.all([first, queued])
+  assert.deepEqual(results.map(result => result.status), [200, 200])
+  assert.equal(results[1].body.choices[0].message.content, 'Mock response to: queued')
+})
+
+test('/v1/rate_limits 需要认证并返回自己的 Key 的用量', async () => {
+  const anonymous = await fetch(`${baseUrl}/v1/rate_limits`)
+  assert.equal(anonymous.status, 401)
+
+  const { status, text } = await withKey('rpm-key').get('/v1/rate_limits')
+  const body = JSON.parse(text)
+  assert.equal(status, 200)
+  assert.equal(body.limits.key.rpm, 3)
+  assert.equal(body.usage.key.requests_last_minute, 3)
+})
+
+test('/metrics 配置 METRICS_TOKEN 后需要鉴权', async () => {
+  assert.equal((await fetch(`${baseUrl}/metrics`)).status, 401)
+  assert.equal((await fetch(`${baseUrl}/metrics`, { headers: { Authorization: 'Bearer wrong' } })).status, 401)
+
+  const response = await fetch(`${baseUrl}/metrics`, { headers: { Authorization: `Bearer ${METRICS_TOKEN}` } })
+  assert.equal(response.status, 200)
+  assert.match(await response.text(), /http_requests_total/)
+})
+
+test('会话复用：同一 X-Conversation-Id 共用会话，未传时每次新建', async () => {
+  const client = withKey('session-key')
+  const headers = { 'X-Conversation-Id': 'conversation-1' }
+  const before = await mockStats(mockUrl)
+  assert.equal((await client.postJson('/v1/chat/completions', chat('text', 'a'), { headers })).status, 200)
+  assert.equal((await client.postJson('/v1/chat/completions', chat('text', 'b'), { headers })).status, 200)
+  assert.equal((await mockStats(mockUrl)).sessions, before.sessions + 1)
+
+  const anonymous = withKey('session-anonymous-key')
+  assert.equal((await anonymous.postJson('/v1/chat/completions', chat('text', 'a'))).status, 200)
+  assert.equal((await anonymous.postJson('/v1/chat/completions', chat('text', 'b'))).status, 200)
+  assert.equal((await mockStats(mockUrl)).sessions, before.sessions + 3)
+})
+
+test('/ready 在上游不可达时返回 503', async () => {
+  const unreachable = `http://127.0.0.1:${await freePort()}`
+  const proxy = await startProxy(unreachable, { READY_CHECKS: 'registry,upstream' })
+
+  const response = await fetch(`${proxy}/ready`)
+  const body = await response.json()
+  assert.equal(response.status, 503)
+  assert.equal(body.ready, false)
+  assert.equal(body.checks.registry.status, 'ok')
+  assert.equal(body.checks.upstream.status, 'fail')
+
+  // 存活检查不依赖上游
+  assert.equal((await fetch(`${proxy}/health`)).status, 200)
+})